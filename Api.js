@@ -0,0 +1,271 @@
+const http = require('http');
+const Transaction = require('./Transaction.js');
+const Subscriptions = require('./Subscriptions.js');
+
+const maxBodySize = 1024 * 1024;
+const defaultLimit = 20;
+const maxLimit = 100;
+
+/**
+ * Client-facing HTTP API of the node
+ * @class
+ */
+class Api {
+    /**
+     * Create new HTTP API server
+     * @param {P2P} node
+     * @param {number} port
+     * @param {string} host listen address, only local clients by default
+     */
+    constructor(node, port, host = '127.0.0.1') {
+        this.node = node;
+        this.port = port;
+        this.host = host;
+        this.subscriptions = new Subscriptions(node);
+        this.routes = [
+            ['POST', /^\/transactions$/, this.submitTransaction],
+            ['GET', /^\/transactions$/, this.listTransactions],
+            ['GET', /^\/transactions\/([0-9a-f]+)$/, this.getTransaction],
+            ['GET', /^\/blocks$/, this.listBlocks],
+            ['GET', /^\/blocks\/([0-9]+)$/, this.getBlock],
+            ['GET', /^\/accounts\/([^/]+)$/, this.getAccount],
+            ['GET', /^\/accounts\/([^/]+)\/proof$/, this.getAccountProof],
+            ['GET', /^\/merkle$/, this.getMerkle],
+            ['GET', /^\/proof\/([0-9a-f]+)$/, this.getProof],
+            ['GET', /^\/mempool$/, this.getMempool],
+            ['GET', /^\/status$/, this.getStatus],
+            ['GET', /^\/peers$/, this.getPeers],
+            ['GET', /^\/forks$/, this.getForks],
+            ['GET', /^\/metrics$/, this.getMetrics],
+        ];
+    }
+
+    /**
+     * Starts the HTTP server
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.subscriptions.attach(this.server);
+        this.server.listen(this.port, this.host);
+    }
+
+    /**
+     * Stops the HTTP server and closes subscriptions
+     */
+    stop() {
+        this.subscriptions.close();
+        this.server.close();
+    }
+
+    /**
+     * Request handler
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            for (let [method, path, handler] of this.routes) {
+                const match = url.pathname.match(path);
+                if (!match) continue;
+                if (req.method != method) continue;
+                const [status, body, contentType] = await handler.call(this, req, url, ...match.slice(1));
+                return this.reply(res, status, body, contentType);
+            }
+            this.reply(res, 404, { error: "Not found" });
+        } catch (err) {
+            this.reply(res, err.status || 400, { error: err.message });
+            // the rest of an oversized body is not read, the connection is closed after the response
+            if (err.status == 413) res.on('finish', () => req.destroy());
+        }
+    }
+
+    /**
+     * Sends JSON response, or text body with its content type
+     * @param {http.ServerResponse} res
+     * @param {number} status
+     * @param {Object|string} body
+     * @param {string} contentType
+     */
+    reply(res, status, body, contentType) {
+        res.writeHead(status, { 'Content-Type': contentType || 'application/json' });
+        res.end(contentType ? body : JSON.stringify(body));
+    }
+
+    /**
+     * Reads request body. Stops reading a body larger than maxBodySize
+     * and rejects with an error of status 413
+     * @param {http.IncomingMessage} req
+     * @returns {Promise<string>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            const onData = chunk => {
+                body += chunk;
+                if (body.length > maxBodySize) {
+                    req.off('data', onData);
+                    req.pause();
+                    reject(Object.assign(new Error("Body too large"), { status: 413 }));
+                }
+            };
+            req.on('data', onData);
+            req.on('end', () => resolve(body));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * POST /transactions
+     * Body is a serialized signed transaction
+     */
+    async submitTransaction(req) {
+        const body = await this.readBody(req);
+        let transaction;
+        try {
+            transaction = Transaction.deserialize(body);
+        } catch (err) {
+            return [400, { valid: false, reasons: [{ code: 'malformed', reason: err.message }] }];
+        }
+        const [valid, reasons] = this.node.sendTransaction(transaction);
+        const hash = transaction.txid();
+        return [valid ? 202 : 400, { valid, hash, reasons }];
+    }
+
+    /**
+     * GET /transactions?offset=&limit=
+     * Recent history, newest first
+     */
+    listTransactions(req, url) {
+        const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || defaultLimit, 1), maxLimit);
+        const total = this.node.transactionMerkle.size();
+        const leaves = this.node.transactionMerkle.getLeaves();
+        const transactions = [];
+        for (let index = total - 1 - offset; index >= 0 && transactions.length < limit; index--) {
+            transactions.push(this.node.getTransaction(leaves[index]));
+        }
+        return [200, { total, offset, limit, transactions }];
+    }
+
+    /**
+     * GET /transactions/:hash
+     */
+    getTransaction(req, url, hash) {
+        const transaction = this.node.getTransaction(hash);
+        if (!transaction) return [404, { error: "Transaction not found" }];
+        return [200, transaction];
+    }
+
+    /**
+     * GET /blocks?offset=&limit=
+     * Recent blocks, newest first
+     */
+    listBlocks(req, url) {
+        const offset = Math.max(parseInt(url.searchParams.get('offset')) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit')) || defaultLimit, 1), maxLimit);
+        const total = this.node.chain.blocks.length;
+        const blocks = [];
+        for (let height = total - 1 - offset; height >= 0 && blocks.length < limit; height--) {
+            blocks.push(this.node.getBlock(height));
+        }
+        return [200, { total, offset, limit, blocks }];
+    }
+
+    /**
+     * GET /blocks/:height
+     */
+    getBlock(req, url, height) {
+        const block = this.node.getBlock(parseInt(height));
+        if (!block) return [404, { error: "Block not found" }];
+        return [200, block];
+    }
+
+    /**
+     * GET /accounts/:address
+     */
+    getAccount(req, url, address) {
+        const account = this.node.chain.accounts[address];
+        if (!account) return [404, { error: "Account not found" }];
+        return [200, { address, balance: account.balance.toString(), stake: account.stake.toString(), nonce: account.nonce,
+            unbonding: account.unbonding.map(entry => ({ amount: entry.amount.toString(), until: entry.until })), multisig: account.multisig }];
+    }
+
+    /**
+     * GET /accounts/:address/proof
+     * Merkle proof of account against the state root of the latest block
+     */
+    getAccountProof(req, url, address) {
+        const proof = this.node.getAccountProof(address);
+        if (!proof) return [404, { error: "Account not found" }];
+        return [200, proof];
+    }
+
+    /**
+     * GET /merkle
+     */
+    getMerkle() {
+        return [200, { root: this.node.merkle(), size: this.node.transactionMerkle.size() }];
+    }
+
+    /**
+     * GET /proof/:hash
+     */
+    getProof(req, url, hash) {
+        const proof = this.node.getProof({ hash });
+        if (!proof.proof) return [404, { error: "Transaction is not covered by merkle root" }];
+        return [200, proof];
+    }
+
+    /**
+     * GET /mempool?from=&offset=&limit=
+     */
+    getMempool(req, url) {
+        return [200, this.node.getMempool(Object.fromEntries(url.searchParams))];
+    }
+
+    /**
+     * GET /status
+     */
+    getStatus() {
+        const vote = this.node.vote;
+        return [200, {
+            chainId: this.node.chainId,
+            genesis: this.node.genesis.hash,
+            height: this.node.chain.blocks.length,
+            hash: this.node.tipHash(),
+            root: this.node.merkle(),
+            round: this.node.round,
+            vote: vote ? { hash: this.node.blockHash(vote.header), header: vote.header, transactions: vote.transactions.length, votes: Object.fromEntries(Object.entries(this.node.consensus).map(([key, value]) => [key, value.data.valid])) } : null,
+            mempool: this.node.mempool.size(),
+            validators: Object.fromEntries(Object.entries(this.node.validatorWeights()).map(([key, stake]) => [key, stake.toString()])),
+            params: this.node.genesis.toJSON().params,
+            halted: this.node.halted,
+        }];
+    }
+
+    /**
+     * GET /peers
+     */
+    getPeers() {
+        return [200, { peers: this.node.getPeers(), ...this.node.scores.toJSON(), known: this.node.peerManager.toJSON() }];
+    }
+
+    /**
+     * GET /forks
+     * Recent forks of the node's chain, oldest first
+     */
+    getForks() {
+        return [200, { forks: this.node.forks }];
+    }
+
+    /**
+     * GET /metrics
+     * Prometheus text format
+     */
+    getMetrics() {
+        return [200, this.node.metrics.render(), 'text/plain; version=0.0.4'];
+    }
+}
+
+module.exports = Api;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Genesis = require('./Genesis.js');
+const Logger = require('./Logger.js');
+const P2P = require('./P2P.js');
+const Transaction = require('./Transaction.js');
+const TransactionMerkle = require('./TransactionMerkle.js');
+const Wire = require('./Wire.js');
+
+const FORMAT = 'chain';
+const VERSION = 1;
+
+/**
+ * SHA256 Hash function
+ * @param {string} data
+ * @returns {string}
+ */
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest().toString('hex');
+}
+
+/**
+ * Exported chain: a header line with the genesis and the expected tip, then one block per line.
+ * Blocks keep their vote records and validators root, so the file can be verified
+ * offline against the genesis without trusting the node that exported it
+ * @class
+ */
+class ChainFile {
+    /**
+     * Writes chain file
+     * @param {string} file
+     * @param {Genesis} genesis
+     * @param {Array<Object>} blocks from block 0
+     */
+    static write(file, genesis, blocks) {
+        if (blocks.length == 0) throw new Error("Chain has no blocks");
+        const tip = blocks[blocks.length - 1].header;
+        const header = {
+            format: FORMAT,
+            version: VERSION,
+            genesis: genesis.toJSON(),
+            genesisHash: genesis.hash,
+            height: blocks.length,
+            tip: hash(Wire.canonical(tip)),
+            merkleRoot: tip.merkleRoot,
+            stateRoot: tip.stateRoot
+        };
+        fs.writeFileSync(file + '.tmp', [header, ...blocks].map(item => JSON.stringify(item) + '\n').join(''));
+        fs.renameSync(file + '.tmp', file);
+    }
+
+    /**
+     * Reads chain file
+     * @param {string} file
+     * @returns {{header: Object, blocks: Array<Object>}}
+     */
+    static read(file) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line);
+        let header;
+        try {
+            header = JSON.parse(lines[0]);
+        } catch (err) {
+            throw new Error("Not a chain file");
+        }
+        if (header?.format != FORMAT) throw new Error("Not a chain file");
+        if (header.version != VERSION) throw new Error(`Unsupported chain file version ${header.version}, this version reads ${VERSION}`);
+        const blocks = lines.slice(1).map((line, height) => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Block ${height} is not JSON`);
+            }
+        });
+        return { header, blocks };
+    }
+
+    /**
+     * Replays chain offline: every block must be a valid, final next block (see P2P.verifyBlock),
+     * then the tip must match the header. Stops at the first inconsistent block
+     * @param {Object} chainFile see read()
+     * @param {Object} options
+     * @param {Genesis} options.genesis trusted genesis, the genesis of the file if missing
+     * @param {Logger} options.logger
+     * @returns {{valid: boolean, height: number|null, reasons: Array<string>, node: P2P}}
+     * height of the first inconsistent block, null if the file header is inconsistent;
+     * node holds the replayed chain and accounts
+     */
+    static verify({ header, blocks }, { genesis, logger = new Logger({ level: 'warn' }) } = {}) {
+        genesis = genesis || new Genesis(header.genesis);
+        const node = new P2P({ blocks: [], accounts: {} }, null, [], null, { genesis, logger });
+        const result = (height, reasons) => ({ valid: reasons.length == 0, height, reasons, node });
+        if (header.genesisHash != genesis.hash) return result(null, [`Chain file is of genesis ${header.genesisHash}, not ${genesis.hash}`]);
+
+        for (let block of blocks) {
+            const height = node.chain.blocks.length;
+            const reasons = block?.header?.height !== height ? ["Invalid height"] : node.verifyBlock(block);
+            if (reasons.length > 0) return result(height, reasons);
+            node.applyBlock(node.chain.accounts, block);
+            node.appendHistory(block);
+        }
+
+        const reasons = [];
+        if (header.height != node.chain.blocks.length) reasons.push(`Header has ${header.height} blocks, file has ${node.chain.blocks.length}`);
+        if (header.tip != node.tipHash()) reasons.push("Header tip is not the last block");
+        if (header.merkleRoot != node.merkle()) reasons.push("Header merkle root is not the root of replayed transactions");
+        if (header.stateRoot != node.stateRoot(node.chain.accounts)) reasons.push("Header state root is not the root of replayed accounts");
+        return result(null, reasons);
+    }
+
+    /**
+     * Reads transaction log of the one-transaction-per-entry format, written by nodes before blocks,
+     * into a legacy merkle tree: its root is the root those nodes reported in votes and CHAIN messages.
+     * A partially written last line is ignored
+     * @param {string} file
+     * @returns {TransactionMerkle}
+     */
+    static readTransactionLog(file) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        const merkle = new TransactionMerkle({ legacy: true });
+        lines.forEach((line, index) => {
+            if (!line) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (err) {
+                if (index == lines.length - 1) return;
+                throw new Error(`Entry ${index} is not JSON`);
+            }
+            if (!entry?.transaction) throw new Error(`Entry ${index} has no transaction`);
+            merkle.addLeaf(Transaction.fromObject(entry.transaction).txid());
+        });
+        return merkle;
+    }
+}
+
+ChainFile.VERSION = VERSION;
+
+module.exports = ChainFile;
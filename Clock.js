@@ -0,0 +1,48 @@
+/**
+ * System clock and timers. Nodes take time only from their clock,
+ * so a simulation can replace it with virtual time
+ * @class
+ */
+class Clock {
+    /**
+     * Current time in milliseconds
+     * @returns {number}
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * @param {Function} callback
+     * @param {number} ms
+     * @returns {*} timer handle
+     */
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    }
+
+    /**
+     * @param {*} timer
+     */
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+
+    /**
+     * @param {Function} callback
+     * @param {number} ms
+     * @returns {*} timer handle
+     */
+    setInterval(callback, ms) {
+        return setInterval(callback, ms);
+    }
+
+    /**
+     * @param {*} timer
+     */
+    clearInterval(timer) {
+        clearInterval(timer);
+    }
+}
+
+module.exports = Clock;
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Wire = require('./Wire.js');
+
+const FIELDS = ['chainId', 'timestamp', 'params', 'allocations', 'validators'];
+
+// parameters missing in the genesis file, amounts are bigint
+const DEFAULT_PARAMS = {
+    // stake of a validator
+    minStake: 1000000000n,
+    // fee of every transaction
+    fee: 100n,
+    // fines in basis points of bonded stake: vote against the quorum, and double vote
+    fine: 100n,
+    doubleVoteFine: 1000n,
+    // blocks from unstake until the stake can be withdrawn, evidence is accepted for as long
+    unbondingBlocks: 100,
+    // seconds transaction and block timestamps may be ahead of the clock
+    timestampRange: 60,
+    // milliseconds of a voting round
+    maxVoteTime: 10000,
+    maxBlockTransactions: 100
+};
+
+/**
+ * @param {*} value decimal string or safe integer
+ * @param {string} name
+ * @returns {bigint}
+ */
+function parseAmount(value, name) {
+    if (!(Number.isSafeInteger(value) || (typeof value == 'string' && /^(0|[1-9][0-9]*)$/.test(value))) || BigInt(value) < 0n) {
+        throw new Error(`Invalid genesis ${name}`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * @param {*} value
+ * @param {string} name
+ * @returns {number}
+ */
+function parseUint(value, name) {
+    if (!Number.isSafeInteger(value) || value < 0) throw new Error(`Invalid genesis ${name}`);
+    return value;
+}
+
+/**
+ * Amounts by public key
+ * @param {Object} entries
+ * @param {string} name
+ * @returns {Object<string, bigint>}
+ */
+function parseAmounts(entries, name) {
+    if (!entries || typeof entries != 'object' || Array.isArray(entries)) throw new Error(`Invalid genesis ${name}`);
+    return Object.fromEntries(Object.keys(entries).sort().map(key => {
+        if (!/^04[0-9a-f]{128}$/.test(key)) throw new Error(`Invalid genesis ${name} key ${key}`);
+        return [key, parseAmount(entries[key], `${name} of ${key}`)];
+    }));
+}
+
+/**
+ * @param {Object} values
+ * @returns {Object} bigint values as decimal strings
+ */
+function amountStrings(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, typeof value == 'bigint' ? value.toString() : value]));
+}
+
+/**
+ * Network definition shared by all nodes: chain id, initial allocations and validators,
+ * economic and timing parameters. Nodes only connect to peers with the same genesis hash
+ * @class
+ */
+class Genesis {
+    /**
+     * Create genesis from parsed genesis file
+     * @param {Object} config
+     */
+    constructor(config) {
+        if (!config || typeof config != 'object') throw new Error("Invalid genesis");
+        for (let field of Object.keys(config)) {
+            if (!FIELDS.includes(field)) throw new Error(`Unknown genesis field ${field}`);
+        }
+        if (typeof config.chainId != 'string' || config.chainId.length == 0 || config.chainId.length > 64) throw new Error("Invalid genesis chainId");
+        this.chainId = config.chainId;
+        this.timestamp = parseUint(config.timestamp, 'timestamp');
+
+        this.params = { ...DEFAULT_PARAMS };
+        for (let [name, value] of Object.entries(config.params || {})) {
+            if (DEFAULT_PARAMS[name] === undefined) throw new Error(`Unknown genesis parameter ${name}`);
+            this.params[name] = typeof DEFAULT_PARAMS[name] == 'bigint' ? parseAmount(value, name) : parseUint(value, name);
+        }
+        if (this.params.maxVoteTime == 0 || this.params.maxBlockTransactions == 0) throw new Error("Invalid genesis parameters");
+
+        this.allocations = parseAmounts(config.allocations || {}, 'allocation');
+        this.validators = parseAmounts(config.validators || {}, 'validator');
+        if (Object.keys(this.validators).length == 0) throw new Error("Genesis has no validators");
+        if (Object.values(this.validators).some(stake => stake < this.params.minStake)) throw new Error("Genesis validator stake lower than minStake");
+
+        this.hash = crypto.createHash('sha256').update(Wire.canonical(this.toJSON())).digest('hex');
+    }
+
+    /**
+     * Loads genesis file
+     * @param {string} file
+     * @returns {Genesis}
+     */
+    static load(file) {
+        return new this(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    /**
+     * Genesis with all parameters, amounts as decimal strings. Its canonical JSON is hashed
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            chainId: this.chainId,
+            timestamp: this.timestamp,
+            params: amountStrings(this.params),
+            allocations: amountStrings(this.allocations),
+            validators: amountStrings(this.validators)
+        };
+    }
+}
+
+module.exports = Genesis;
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+
+const VERSION = 1;
+// scrypt cost: 2^15 iterations, 32 MB of memory
+const SCRYPT = { N: 32768, r: 8, p: 1 };
+
+/**
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @param {Object} params scrypt N, r and p
+ * @returns {Buffer} 256 bit key
+ */
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Private key encrypted with a passphrase: scrypt derives the key of AES-256-GCM.
+ * The address (public key) is stored in clear to find keystores without unlocking them
+ * @class
+ */
+class Keystore {
+    /**
+     * Encrypts private key
+     * @param {string} privateKey hex
+     * @param {string} passphrase
+     * @returns {Object} keystore
+     */
+    static encrypt(privateKey, passphrase) {
+        const address = ec.keyFromPrivate(privateKey, 'hex').getPublic('hex');
+        const salt = crypto.randomBytes(32);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+        cipher.setAAD(Buffer.from(address));
+        const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final()]);
+        return {
+            version: VERSION,
+            address,
+            crypto: {
+                kdf: 'scrypt',
+                kdfparams: { ...SCRYPT, salt: salt.toString('hex') },
+                cipher: 'aes-256-gcm',
+                iv: iv.toString('hex'),
+                tag: cipher.getAuthTag().toString('hex'),
+                ciphertext: ciphertext.toString('hex')
+            }
+        };
+    }
+
+    /**
+     * Decrypts private key
+     * @param {Object} keystore
+     * @param {string} passphrase
+     * @returns {string} private key hex
+     */
+    static decrypt(keystore, passphrase) {
+        if (keystore?.version != VERSION || keystore.crypto?.kdf != 'scrypt' || keystore.crypto.cipher != 'aes-256-gcm') throw new Error("Unsupported keystore");
+        const { kdfparams, iv, tag, ciphertext } = keystore.crypto;
+        let privateKey;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams), Buffer.from(iv, 'hex'));
+            decipher.setAAD(Buffer.from(keystore.address));
+            decipher.setAuthTag(Buffer.from(tag, 'hex'));
+            privateKey = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('hex');
+        } catch (err) {
+            throw new Error("Wrong passphrase or corrupted keystore");
+        }
+        if (ec.keyFromPrivate(privateKey, 'hex').getPublic('hex') != keystore.address) throw new Error("Keystore address does not match its key");
+        return privateKey;
+    }
+
+    /**
+     * Generates new private key
+     * @returns {string} private key hex
+     */
+    static generate() {
+        return ec.genKeyPair().getPrivate('hex').padStart(64, '0');
+    }
+
+    /**
+     * Reads passphrase file, without its final line break
+     * @param {string} file
+     * @returns {string}
+     */
+    static readPassphrase(file) {
+        return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    /**
+     * Reads and decrypts keystore file
+     * @param {string} file
+     * @param {string} passphrase
+     * @returns {string} private key hex
+     */
+    static load(file, passphrase) {
+        return this.decrypt(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+    }
+
+    /**
+     * Encrypts private key to a new keystore file readable only by its owner
+     * @param {string} file
+     * @param {string} privateKey hex
+     * @param {string} passphrase
+     * @returns {Object} keystore
+     */
+    static save(file, privateKey, passphrase) {
+        const keystore = this.encrypt(privateKey, passphrase);
+        fs.writeFileSync(file, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+        return keystore;
+    }
+}
+
+module.exports = Keystore;
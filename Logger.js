@@ -0,0 +1,69 @@
+const Clock = require('./Clock.js');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Structured logger, writes one JSON object per line:
+ * time, level, message and fields of the event
+ * @class
+ */
+class Logger {
+    /**
+     * Create new logger
+     * @param {Object} options
+     * @param {string} options.level lowest level written: debug, info, warn, error or silent
+     * @param {Object} options.fields fields added to every entry
+     * @param {Function} options.output called with each line, stdout by default
+     * @param {Clock} options.clock
+     */
+    constructor(options = {}) {
+        if (options.level && LEVELS[options.level] === undefined) throw new Error(`Unknown log level ${options.level}`);
+        this.level = options.level || 'info';
+        this.fields = options.fields || {};
+        this.output = options.output || (line => process.stdout.write(line + '\n'));
+        this.clock = options.clock || new Clock();
+    }
+
+    /**
+     * Logger adding fields to every entry
+     * @param {Object} fields
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger({ level: this.level, fields: { ...this.fields, ...fields }, output: this.output, clock: this.clock });
+    }
+
+    /**
+     * Writes entry if level is enabled. Bigint fields are written as decimal strings, errors as their message
+     * @param {string} level
+     * @param {string} msg
+     * @param {Object} fields
+     */
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+        const entry = { time: new Date(this.clock.now()).toISOString(), level, msg, ...this.fields, ...fields };
+        this.output(JSON.stringify(entry, (key, value) => {
+            if (typeof value == 'bigint') return value.toString();
+            if (value instanceof Error) return value.message;
+            return value;
+        }));
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+module.exports = Logger;
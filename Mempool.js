@@ -0,0 +1,169 @@
+const Clock = require('./Clock.js');
+
+/**
+ * Pending transactions keyed by sender and nonce.
+ * Transactions are released for blocks only when they continue the nonce
+ * sequence of their sender, so out of order arrivals wait for the missing nonces.
+ * @class
+ */
+class Mempool {
+    /**
+     * Create new mempool
+     * @param {Object} options
+     * @param {number} options.maxSize maximum number of transactions
+     * @param {number} options.maxPerSender maximum number of transactions of one sender
+     * @param {number} options.maxAge seconds a transaction is kept before it is evicted
+     * @param {Clock} options.clock
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 5000;
+        this.maxPerSender = options.maxPerSender || 100;
+        this.maxAge = options.maxAge || 3600;
+        this.clock = options.clock || new Clock();
+        // txid -> { transaction, received }
+        this.transactions = new Map();
+        // sender -> Map(nonce -> txid)
+        this.senders = new Map();
+    }
+
+    /**
+     * Number of transactions in mempool
+     * @returns {number}
+     */
+    size() {
+        return this.transactions.size;
+    }
+
+    /**
+     * Is transaction in mempool
+     * @param {string} txid
+     * @returns {boolean}
+     */
+    has(txid) {
+        return this.transactions.has(txid);
+    }
+
+    /**
+     * Adds transaction. A transaction with the same sender and nonce replaces the queued one
+     * if it is not older. When mempool is full, the highest nonce of the sender
+     * with the most transactions is evicted
+     * @param {Transaction} transaction signature and chain id must be checked by caller
+     * @returns {Array} added and reasons of rejection as {code, reason}
+     */
+    add(transaction) {
+        const txid = transaction.txid();
+        if (this.transactions.has(txid)) return [false, [{ code: 'duplicate', reason: "Duplicate transaction" }]];
+        this.expire();
+
+        const queued = this.senders.get(transaction.from) || new Map();
+        const replaced = queued.get(transaction.nonce);
+        if (replaced) {
+            if (transaction.timestamp < this.transactions.get(replaced).transaction.timestamp) {
+                return [false, [{ code: 'replacement_older', reason: "Older than queued transaction with the same nonce" }]];
+            }
+            this.remove(replaced);
+        } else if (queued.size >= this.maxPerSender) {
+            return [false, [{ code: 'sender_limit', reason: "Too many pending transactions of sender" }]];
+        }
+
+        if (this.transactions.size >= this.maxSize) {
+            const [sender, nonces] = [...this.senders].reduce((max, item) => item[1].size > max[1].size ? item : max);
+            const highest = Math.max(...nonces.keys());
+            if (sender == transaction.from && highest < transaction.nonce) return [false, [{ code: 'mempool_full', reason: "Mempool is full" }]];
+            this.remove(nonces.get(highest));
+        }
+
+        this.transactions.set(txid, { transaction, received: this.clock.now() });
+        queued.set(transaction.nonce, txid);
+        this.senders.set(transaction.from, queued);
+        return [true, []];
+    }
+
+    /**
+     * Removes transaction
+     * @param {string} txid
+     */
+    remove(txid) {
+        const entry = this.transactions.get(txid);
+        if (!entry) return;
+        this.transactions.delete(txid);
+        const queued = this.senders.get(entry.transaction.from);
+        queued.delete(entry.transaction.nonce);
+        if (queued.size == 0) this.senders.delete(entry.transaction.from);
+    }
+
+    /**
+     * Removes transactions with nonces already used in accounts state
+     * @param {Object} accounts
+     */
+    removeUsed(accounts) {
+        for (let [sender, queued] of [...this.senders]) {
+            const nonce = accounts[sender] ? accounts[sender].nonce : 0;
+            for (let [queuedNonce, txid] of [...queued]) {
+                if (queuedNonce < nonce) this.remove(txid);
+            }
+        }
+    }
+
+    /**
+     * Evicts transactions older than maxAge or past their validUntil
+     */
+    expire() {
+        const now = this.clock.now();
+        const oldest = now - this.maxAge * 1000;
+        for (let [txid, { transaction, received }] of [...this.transactions]) {
+            if (received < oldest || transaction.validUntil < Math.floor(now / 1000)) this.remove(txid);
+        }
+    }
+
+    /**
+     * Transactions executable against accounts state: for every sender its nonces
+     * from the account nonce without gaps. Senders are interleaved by arrival time
+     * @param {Object} accounts
+     * @param {number} limit
+     * @returns {Array<Transaction>}
+     */
+    executable(accounts, limit = Infinity) {
+        this.expire();
+        const chains = [];
+        for (let [sender, queued] of this.senders) {
+            const chain = [];
+            let nonce = accounts[sender] ? accounts[sender].nonce : 0;
+            while (queued.has(nonce)) {
+                chain.push(this.transactions.get(queued.get(nonce)));
+                nonce++;
+            }
+            if (chain.length > 0) chains.push(chain);
+        }
+
+        const transactions = [];
+        while (transactions.length < limit && chains.length > 0) {
+            let first = 0;
+            for (let i = 1; i < chains.length; i++) {
+                if (chains[i][0].received < chains[first][0].received) first = i;
+            }
+            transactions.push(chains[first].shift().transaction);
+            if (chains[first].length == 0) chains.splice(first, 1);
+        }
+        return transactions;
+    }
+
+    /**
+     * Queued transactions by sender and nonce, for operators
+     * @param {Object} accounts
+     * @returns {Array<Object>}
+     */
+    list(accounts) {
+        const executable = new Set(this.executable(accounts).map(transaction => transaction.txid()));
+        return [...this.transactions].map(([txid, { transaction, received }]) => ({
+            hash: txid,
+            from: transaction.from,
+            nonce: transaction.nonce,
+            received,
+            executable: executable.has(txid),
+            transaction: JSON.parse(transaction.serialize())
+        })).sort((a, b) => a.from.localeCompare(b.from) || a.nonce - b.nonce);
+    }
+}
+
+module.exports = Mempool;
@@ -0,0 +1,118 @@
+const defaultBuckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Label set in exposition format
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length == 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return '{' + entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',') + '}';
+}
+
+/**
+ * Metrics of the node in Prometheus text exposition format.
+ * Counters and histograms are updated by the node, gauges are read when metrics are rendered
+ * @class
+ */
+class Metrics {
+    /**
+     * Create new metrics registry
+     * @param {string} prefix prefix of metric names
+     */
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        // name -> { type, help, values: Map(labels -> value), collect, buckets }
+        this.metrics = new Map();
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     */
+    counter(name, help) {
+        this.metrics.set(name, { type: 'counter', help, values: new Map() });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Function} collect returns current value
+     */
+    gauge(name, help, collect) {
+        this.metrics.set(name, { type: 'gauge', help, collect });
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<number>} buckets upper bounds
+     */
+    histogram(name, help, buckets = defaultBuckets) {
+        this.metrics.set(name, { type: 'histogram', help, buckets, values: new Map() });
+    }
+
+    /**
+     * Increments counter
+     * @param {string} name
+     * @param {Object} labels
+     * @param {number} value
+     */
+    inc(name, labels = {}, value = 1) {
+        const metric = this.metrics.get(name);
+        const key = formatLabels(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+    }
+
+    /**
+     * Adds observation to histogram
+     * @param {string} name
+     * @param {number} value
+     */
+    observe(name, value) {
+        const metric = this.metrics.get(name);
+        const entry = metric.values.get('') || { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        metric.values.set('', entry);
+    }
+
+    /**
+     * Current value of counter
+     * @param {string} name
+     * @param {Object} labels
+     * @returns {number}
+     */
+    get(name, labels = {}) {
+        return this.metrics.get(name).values.get(formatLabels(labels)) || 0;
+    }
+
+    /**
+     * All metrics in text exposition format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (let [name, metric] of this.metrics) {
+            const fullName = this.prefix + name;
+            lines.push(`# HELP ${fullName} ${metric.help}`, `# TYPE ${fullName} ${metric.type}`);
+            if (metric.type == 'gauge') {
+                lines.push(`${fullName} ${Number(metric.collect())}`);
+            } else if (metric.type == 'counter') {
+                for (let [labels, value] of metric.values) lines.push(`${fullName}${labels} ${value}`);
+            } else {
+                const { counts, sum, count } = metric.values.get('') || { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+                metric.buckets.forEach((bound, index) => lines.push(`${fullName}_bucket{le="${bound}"} ${counts[index]}`));
+                lines.push(`${fullName}_bucket{le="+Inf"} ${count}`, `${fullName}_sum ${sum}`, `${fullName}_count ${count}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+
+// keys of one multisig account
+const maxKeys = 10;
+
+/**
+ * M-of-N accounts. A multisig account is defined by its threshold and keys,
+ * and its address is the SHA256 of that definition (64 hex characters, public keys have 66 or 130).
+ * Transactions from it carry one signature per signing key: a key index byte followed
+ * by the DER signature, concatenated in the transaction signature in key order
+ * @class
+ */
+class Multisig {
+    /**
+     * Definition with keys compressed and sorted, so every encoding of the same keys gives one address
+     * @param {Object} definition
+     * @param {number} definition.threshold signatures required
+     * @param {Array<string>} definition.keys public keys hex
+     * @returns {{threshold: number, keys: Array<string>}}
+     */
+    static normalize({ threshold, keys } = {}) {
+        if (!Array.isArray(keys) || keys.length == 0 || keys.length > maxKeys) throw new Error(`A multisig account has 1 to ${maxKeys} keys`);
+        const normalized = keys.map(key => {
+            if (typeof key != 'string' || !/^([0-9a-f]{2})+$/.test(key)) throw new Error("Invalid multisig key");
+            return ec.keyFromPublic(key, 'hex').getPublic(true, 'hex');
+        }).sort();
+        if (new Set(normalized).size != normalized.length) throw new Error("Duplicate multisig key");
+        if (!Number.isInteger(threshold) || threshold < 1 || threshold > keys.length) throw new Error("Invalid multisig threshold");
+        return { threshold, keys: normalized };
+    }
+
+    /**
+     * Definition in the body of a registration transaction
+     * @param {string} body JSON {threshold, keys}
+     * @returns {{threshold: number, keys: Array<string>}}
+     */
+    static parse(body) {
+        let definition;
+        try {
+            definition = JSON.parse(body);
+        } catch (err) {
+            throw new Error("Multisig definition is not JSON");
+        }
+        return this.normalize(definition);
+    }
+
+    /**
+     * Address of multisig account
+     * @param {Object} definition
+     * @returns {string}
+     */
+    static address(definition) {
+        const { threshold, keys } = this.normalize(definition);
+        return crypto.createHash('sha256').update(JSON.stringify(['multisig', threshold, keys])).digest('hex');
+    }
+
+    /**
+     * Is address a multisig account address
+     * @param {string} address
+     * @returns {boolean}
+     */
+    static isAddress(address) {
+        return typeof address == 'string' && /^[0-9a-f]{64}$/.test(address);
+    }
+
+    /**
+     * Splits multisig signature into signatures by key index
+     * @param {string} signature hex
+     * @returns {Map<number, string>} DER signatures hex
+     */
+    static unpack(signature) {
+        const data = Buffer.from(signature || '', 'hex');
+        const signatures = new Map();
+        let offset = 0;
+        while (offset < data.length) {
+            // DER signature: 0x30, length, content
+            if (offset + 3 > data.length || data[offset + 1] != 0x30) throw new Error("Invalid multisig signature");
+            const index = data[offset];
+            const end = offset + 3 + data[offset + 2];
+            if (end > data.length || signatures.has(index) || index >= maxKeys) throw new Error("Invalid multisig signature");
+            signatures.set(index, data.subarray(offset + 1, end).toString('hex'));
+            offset = end;
+        }
+        return signatures;
+    }
+
+    /**
+     * Joins signatures by key index into multisig signature, in key order
+     * @param {Map<number, string>} signatures
+     * @returns {string} hex
+     */
+    static pack(signatures) {
+        return [...signatures].sort(([a], [b]) => a - b)
+            .map(([index, signature]) => index.toString(16).padStart(2, '0') + signature).join('');
+    }
+
+    /**
+     * Number of valid signatures of distinct keys over hash
+     * @param {Object} definition normalized definition
+     * @param {Buffer} hash signed hash
+     * @param {string} signature multisig signature hex
+     * @returns {number}
+     */
+    static countValid({ keys }, hash, signature) {
+        let valid = 0;
+        for (let [index, der] of this.unpack(signature)) {
+            if (index < keys.length && ec.keyFromPublic(keys[index], 'hex').verify(hash, der)) valid++;
+        }
+        return valid;
+    }
+}
+
+Multisig.maxKeys = maxKeys;
+
+module.exports = Multisig;
@@ -1,17 +1,60 @@
 const Transaction = require('./Transaction.js');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const uuid = require('uuid');
 const EC = require('elliptic').ec;
 const ec = new EC('secp256k1');
 const crypto = require('crypto');
 const TransactionMerkle = require('./TransactionMerkle.js');
+const StateMerkle = require('./StateMerkle.js');
+const Wire = require('./Wire.js');
+const Mempool = require('./Mempool.js');
+const PeerScores = require('./PeerScores.js');
+const PeerManager = require('./PeerManager.js');
+const SeenCache = require('./SeenCache.js');
+const Clock = require('./Clock.js');
+const WebSocketTransport = require('./WebSocketTransport.js');
+const Logger = require('./Logger.js');
+const Metrics = require('./Metrics.js');
+const Signer = require('./Signer.js');
+const Multisig = require('./Multisig.js');
 
-const minStake = 1000000000;
-const fee = 100;
-const fine = 10000;
+const syncPageSize = 20;
+const syncStatusTime = 2000;
+const syncTimeout = 10000;
+// block hashes per HASHES page when looking for the common ancestor of a fork
+const hashesPageSize = 1000;
+// deepest fork rolled back, the local chain is kept on a deeper one
+const maxRollback = 1000;
+// least time between fork checks started by votes on a different root
+const forkCheckInterval = 60000;
+// fork events kept for operators
+const keptForks = 100;
 
-const timestampRange = 60;
-const maxVoteTime = 10000;
+// parent hash of the genesis block
+const GENESIS_PARENT = '0'.repeat(64);
+// account collecting fees until validators of the block are paid in the next one
+const FEE_POOL = "FEES";
+
+// score penalties of peers, see PeerScores
+const penalties = { invalidSignature: 50, invalidBlock: 50, fork: 20, voteTimeout: 10 };
+
+// how received messages are forwarded: gossiped to all peers, or routed to the node in `for`.
+// Other messages, like requests and the handshake, are answered by the direct peer only
+const RELAY = {
+    NEW_TRANSACTION: 'gossip',
+    PROPOSAL: 'gossip',
+    VOTE: 'gossip',
+    EVIDENCE: 'gossip',
+    STATUS: 'route',
+    RANGE: 'route',
+    HASHES: 'route',
+    PEERS: 'route',
+    MEMPOOL: 'route',
+    PROOF: 'route'
+};
+// times a message is forwarded
+const maxHops = 8;
 
 /**
  * SHA256 Hash function
@@ -23,121 +66,724 @@ function hash(data) {
 }
 
 /**
- * Peer to Peer class
+ * Peer to Peer class.
+ * Emits `block` (block, height) for every block appended to the chain, and
+ * `rejected` (transaction, reasons, source) for transactions refused by the mempool or dropped by a proposal,
+ * and `fork` (event) when the chain of this node forked from the chain followed by the most stake
  * @class
  */
-class P2P {
+class P2P extends EventEmitter {
     /**
      * Create new P2P server
      * @param {Object} chain
      * @param {number} port 
-     * @param {Array<string>} peers 
-     * @param {string} privateKey
+     * @param {Array<string>} peers seed peer addresses
+     * @param {string} privateKey validator key, not used with options.signer. Without both the node
+     * cannot sign messages and only verifies blocks, e.g. of a chain file
+     * @param {Object} options
+     * @param {Storage} options.storage chain storage, chain is kept only in memory without it
+     * @param {Genesis} options.genesis network definition: chain id, initial accounts and parameters
+     * @param {Object} options.mempool mempool limits, see Mempool
+     * @param {string} options.address listen address advertised to peers, e.g. ws://host:4000
+     * @param {Object} options.scores peer score limits, see PeerScores
+     * @param {Object} options.connections connection targets and redial backoff, see PeerManager
+     * @param {Object} options.seen size and ttl of the seen message cache, see SeenCache
+     * @param {Object} options.transport peer connections, WebSocketTransport by default
+     * @param {Object} options.clock time and timers, Clock by default
+     * @param {Logger} options.logger structured log, info level to stdout by default
+     * @param {Signer|RemoteSigner} options.signer signs messages instead of privateKey
      */
-    constructor(chain, port, peers = [], privateKey) {
+    constructor(chain, port, peers = [], privateKey, options = {}) {
+        super();
         this.chain = chain;
+        this.clock = options.clock || new Clock();
+        this.transport = options.transport || new WebSocketTransport();
+        this.genesis = options.genesis;
+        this.chainId = this.genesis.chainId;
+        this.params = this.genesis.params;
         this.port = port;
-        this.peers = peers;
         this.sockets = [];
-        this.validators = new Set();
-        this.buf = [];
+        this.seen = new SeenCache({ ...options.seen, clock: this.clock });
+        // votes of the current height by block hash
+        this.votes = {};
         this.consensus = {};
         this.vote = null;
-        this.privateKey = privateKey;
-        this.keyPair = ec.keyFromPrivate(privateKey, 'hex');
-        this.publicKey = this.keyPair.getPublic('hex');
+        this.nextProposal = null;
+        this.round = 0;
+        // double vote evidence waiting for a block, by offense id
+        this.evidence = new Map();
+        this.signer = options.signer || (privateKey ? new Signer(privateKey) : null);
+        this.publicKey = this.signer ? this.signer.publicKey : null;
         this.transactionMerkle = new TransactionMerkle();
-        this.pendingTxs = [];
+        this.mempool = new Mempool({ ...options.mempool, clock: this.clock });
+        this.storage = options.storage;
+        this.txIndex = new Map();
+        this.address = options.address || null;
+        this.scores = new PeerScores({ ...options.scores, clock: this.clock });
+        this.peerManager = new PeerManager(this, { ...options.connections, seeds: peers, storage: this.storage });
+        this.logger = options.logger || new Logger({ clock: this.clock });
+        // start of the current round, for its duration
+        this.roundStarted = null;
+        // set when accounts state diverged from a final block, the node stops
+        this.halted = null;
+        // recent forks of the local chain, see recordFork()
+        this.forks = this.storage ? this.storage.loadForks() : [];
+        this.lastForkCheck = null;
+        this.metrics = this.createMetrics();
+    }
+
+    /**
+     * Metrics of chain, mempool, peers and consensus rounds for the metrics endpoint
+     * @returns {Metrics}
+     */
+    createMetrics() {
+        const metrics = new Metrics('node_');
+        const own = () => this.chain.accounts[this.publicKey] || { balance: 0n, stake: 0n };
+        metrics.gauge('chain_height', "Number of blocks in the chain", () => this.chain.blocks.length);
+        metrics.gauge('mempool_transactions', "Transactions waiting in the mempool", () => this.mempool.size());
+        metrics.gauge('peers_connected', "Peers that completed the handshake", () => this.getPeers().length);
+        metrics.gauge('validators', "Validators of the next block", () => this.validatorSet().length);
+        metrics.gauge('validators_connected', "Validators of the next block connected to this node", () => {
+            const validators = this.validatorSet();
+            return this.getPeers().filter(peer => validators.includes(peer.key)).length;
+        });
+        metrics.gauge('balance', "Balance of this node's account", () => own().balance);
+        metrics.gauge('stake', "Stake of this node's account", () => own().stake);
+        metrics.gauge('halted', "1 if the node halted because its accounts state diverged from the network", () => this.halted ? 1 : 0);
+        metrics.histogram('vote_round_seconds', "Duration of voting rounds, from the start of the round to its outcome");
+        metrics.counter('vote_rounds_total', "Voting rounds by outcome");
+        ['accepted', 'rejected', 'timeout'].forEach(outcome => metrics.inc('vote_rounds_total', { outcome }, 0));
+        metrics.counter('root_mismatches_total', "Votes of peers on a different merkle root");
+        metrics.inc('root_mismatches_total', {}, 0);
+        metrics.counter('forks_total', "Forks of the local chain from the chain followed by the most stake, by outcome");
+        ['rolled_back', 'unresolved'].forEach(outcome => metrics.inc('forks_total', { outcome }, 0));
+        metrics.counter('rolled_back_blocks_total', "Blocks dropped by fork rollbacks");
+        metrics.inc('rolled_back_blocks_total', {}, 0);
+        metrics.counter('slashings_total', "Validators slashed in applied blocks, by reason");
+        ['fine', 'double_vote'].forEach(reason => metrics.inc('slashings_total', { reason }, 0));
+        return metrics;
+    }
+
+    /**
+     * Log fields of the current round. The round id is the same on all nodes,
+     * so logs of one round can be joined across validators
+     * @returns {Object}
+     */
+    roundFields() {
+        const height = this.chain.blocks.length;
+        return { roundId: `${height}:${this.round}`, height, round: this.round, block: this.vote ? this.blockHash(this.vote.header) : undefined };
+    }
+
+    /**
+     * Records outcome and duration of the current round
+     * @param {string} outcome accepted, rejected or timeout
+     */
+    endRound(outcome) {
+        this.metrics.inc('vote_rounds_total', { outcome });
+        if (this.roundStarted !== null) this.metrics.observe('vote_round_seconds', (this.clock.now() - this.roundStarted) / 1000);
+        this.roundStarted = null;
     }
 
     /**
      * Starts the P2P server
      */
     start() {
-        const server = new WebSocket.Server({ port: this.port });
-        server.on('connection', (socket) => {
+        this.load();
+        this.transport.listen(this.port, (socket) => {
+            if (!this.peerManager.acceptInbound()) return socket.close();
             this.connectSocket(socket);
         });
+        this.peerManager.start();
+    }
 
-        const openPromises = this.peers.map(peer => {
-            return new Promise(resolve => {
-                const socket = new WebSocket(peer);
-                socket.on('open', () => {
-                    this.connectSocket(socket);
-                    resolve();
-                });
-                socket.on('error', (err) => {
-                    console.log(`connection error to ${peer}:`, err.code);
-                    resolve();
-                });
-            });
-        });
+    /**
+     * Stops the P2P server: closes connections and stops timers
+     */
+    stop() {
+        this.peerManager.stop();
+        this.clock.clearTimeout(this.roundTimeout);
+        if (this.syncing) this.clock.clearTimeout(this.syncing.timeout);
+        this.transport.close();
+        this.sockets.forEach(socket => socket.terminate());
+    }
 
+    /**
+     * Loads chain from storage and creates accounts state.
+     * Blocks are replayed only after the last snapshot,
+     * or from the beginning if snapshot is missing or corrupt
+     */
+    load() {
+        let height = 0;
+        if (this.storage) {
+            const { blocks, snapshot } = this.storage.load();
+            this.chain.blocks = blocks;
+            this.chain.accounts = {};
+            if (snapshot && blocks[snapshot.height - 1] && this.stateRoot(snapshot.accounts) != blocks[snapshot.height - 1].header.stateRoot) {
+                this.logger.warn("snapshot does not match state root of its block, replaying all blocks", { height: snapshot.height });
+            } else if (snapshot) {
+                this.logger.info("restoring snapshot", { height: snapshot.height, blocks: blocks.length });
+                this.chain.accounts = snapshot.accounts;
+                this.transactionMerkle = TransactionMerkle.fromJSON(snapshot.merkle);
+                height = snapshot.height;
+            }
+        }
+        const genesis = this.genesisBlock();
+        if (this.chain.blocks.length == 0) {
+            this.chain.blocks.push(genesis);
+            if (this.storage) this.storage.append(genesis);
+        } else if (this.blockHash(this.chain.blocks[0].header) != this.blockHash(genesis.header)) {
+            throw new Error("stored chain has a different genesis, move the data directory away to join this network");
+        }
+        this.indexHistory(0);
+        if (this.chain.blocks.length == height) return;
 
-        Promise.all(openPromises).then(() => {
-            this.reconnect(10);
-            this.sockets.map(socket => {
-                socket.on('close', () => {
-                    this.reconnect(5);
-                });
-            })
-            this.consensus = {};
-            if (this.sockets.some(socket => socket.readyState === WebSocket.OPEN)) {
-                console.log("receiving chain...");
-                this.wantChain = true;
-                this.send({ type: "GET_CHAIN" });
-            } else {
-                if (this.chain.transactions.length > 0 && Object.keys(this.chain.accounts).length == 0) {
-                    console.log("creating accounts state...");
-                    this.createAccState(this.chain.transactions);
-                    console.log("done");
-                } else {
-                    console.log("creating merkle tree...");
-                    let i = 0;
-                    for (let transactionData of this.chain.transactions) {
-                        const transaction = Transaction.deserialize(JSON.stringify(transactionData.transaction));
-                        let valid = transaction.verify();
-                        if (i < 6 && transaction.body == "GENESIS") valid = true;
-                        if (!valid) {
-                            console.log("transaction invalid: " + transaction.serialize());
-                            continue;
-                        };
-                        
-                        this.transactionMerkle.add(transaction.serialize());
-                        i++;
-                    }
-                    console.log("done");
-                }
+        if (height > 0 || Object.keys(this.chain.accounts).length == 0) {
+            this.logger.info("creating accounts state");
+            const applied = height + this.createAccState(this.chain.blocks.slice(height));
+            if (applied < this.chain.blocks.length) {
+                this.logger.warn("dropping blocks, they are synchronized again", { from: applied, count: this.chain.blocks.length - applied });
+                this.chain.blocks.length = applied;
+                this.indexHistory(0);
+                if (this.storage) this.storage.replace(this.chain.blocks);
+            }
+            this.saveSnapshot();
+            this.logger.info("accounts state created", { height: this.chain.blocks.length });
+        } else {
+            this.logger.info("creating merkle tree");
+            for (let block of this.chain.blocks) {
+                this.blockTxids(block).forEach(txid => this.transactionMerkle.addLeaf(txid));
             }
+            this.logger.info("merkle tree created", { size: this.transactionMerkle.size() });
+        }
+    }
+
+    /**
+     * Saves accounts state snapshot to storage
+     */
+    saveSnapshot() {
+        if (!this.storage) return;
+        this.storage.saveSnapshot(this.chain.blocks.length, this.chain.accounts, this.transactionMerkle.toJSON());
+    }
+
+    /**
+     * Adds applied block to history, merkle tree and storage
+     * @param {Object} block
+     */
+    appendHistory(block) {
+        this.chain.blocks.push(block);
+        this.indexHistory(this.chain.blocks.length - 1);
+        for (let txid of this.blockTxids(block)) {
+            this.transactionMerkle.addLeaf(txid);
+            this.mempool.remove(txid);
+        }
+        this.mempool.removeUsed(this.chain.accounts);
+        for (let evidence of block.evidence || []) this.evidence.delete(this.evidenceId(evidence));
+        this.persist(block);
+        this.emit('block', block, this.chain.blocks.length - 1);
+    }
+
+    /**
+     * Writes block to storage
+     * @param {Object} block
+     */
+    persist(block) {
+        if (!this.storage) return;
+        this.storage.append(block);
+        if (this.storage.snapshotDue(this.chain.blocks.length)) this.saveSnapshot();
+    }
+
+    /**
+     * Starts chain synchronization: asks peers for their height, tip hash and block at the local height,
+     * then chooses the chain to follow by validator stake (see syncTarget).
+     * Missing blocks are downloaded page by page from one peer at a time. If the local chain forked
+     * from that tip, it is first rolled back to the common ancestor (see resolveFork).
+     * Downloaded pages are persisted, so an interrupted sync resumes from the stored height
+     */
+    sync() {
+        this.logger.info("receiving chain status");
+        this.syncing = { statuses: {}, peer: null, target: null, height: this.chain.blocks.length };
+        this.send({ type: "GET_STATUS", data: { height: this.syncing.height } });
+        this.syncing.timeout = this.clock.setTimeout(() => this.nextSyncPeer(), syncStatusTime);
+    }
+
+    /**
+     * Chooses the peer to download chain from. If the local chain forked from the chain of the network,
+     * the common ancestor is looked up first
+     */
+    nextSyncPeer() {
+        this.clock.clearTimeout(this.syncing.timeout);
+        const height = this.chain.blocks.length;
+        const target = this.syncTarget();
+        if (!target) {
+            this.logger.info("chain synchronized", { height });
+            return this.finishSync();
+        }
+        this.syncing.peer = target.peer;
+        this.syncing.target = target;
+        if (target.fork) {
+            this.logger.warn("local chain forked from the chain of the most stake, looking for common ancestor", { peer: target.peer, height, peerHeight: target.height, peerHash: target.hash });
+            this.requestHashes(Math.min(height, target.height));
+        } else {
+            this.logger.info("syncing", { peer: target.peer, height, peerHeight: target.height });
+            this.requestRange();
+        }
+    }
+
+    /**
+     * Ends synchronization and goes on with consensus
+     */
+    finishSync() {
+        this.clock.clearTimeout(this.syncing.timeout);
+        this.syncing = null;
+        this.propose();
+    }
+
+    /**
+     * Peer to synchronize from. Peers whose chain does not contain the local chain, and is not contained in it,
+     * are on a fork. If they hold more than 2/3 of validator stake, the local chain left the chain of the network:
+     * the target is the forked peer with the most stake. Otherwise the target is the highest peer on the local chain, if any,
+     * and forked peers are penalized once more than 2/3 of validator stake is on the local chain
+     * @returns {Object|null} peer, height and hash of its tip, stake of the target chain, total stake, and whether it is a fork
+     */
+    syncTarget() {
+        const weights = this.validatorWeights();
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0n);
+        const statuses = Object.entries(this.syncing.statuses)
+            .map(([peer, status]) => ({ peer, height: status.height, hash: status.hash, stake: weights[peer] || 0n, forked: !this.onLocalChain(status) }))
+            .sort((a, b) => a.stake == b.stake ? b.height - a.height : (a.stake < b.stake ? 1 : -1));
+        const forked = statuses.filter(status => status.forked);
+        const stake = forked.reduce((sum, status) => sum + status.stake, 0n);
+        if (stake * 3n > total * 2n) return { ...forked[0], stake, total, fork: true };
+        const agreeing = statuses.filter(status => !status.forked).reduce((sum, status) => sum + status.stake, weights[this.publicKey] || 0n);
+        if (agreeing * 3n > total * 2n) forked.forEach(status => this.penalize(status.peer, penalties.fork, "chain forked from the chain of the most stake"));
+        const [higher] = statuses.filter(status => !status.forked && status.height > this.chain.blocks.length).sort((a, b) => b.height - a.height);
+        return higher ? { ...higher, total, fork: false } : null;
+    }
+
+    /**
+     * Is chain of peer status on the local chain: it contains the local chain of the start of the sync, or it is contained in it.
+     * Peers report the hash of their block at the local height of the start of the sync
+     * @param {Object} status
+     * @returns {boolean}
+     */
+    onLocalChain({ height, hash, hashAt }) {
+        if (height <= this.chain.blocks.length) return this.hasBlock(height, hash);
+        return hashAt === undefined || this.hasBlock(this.syncing.height, hashAt);
+    }
+
+    /**
+     * Is block of hash the block at height - 1 of the local chain
+     * @param {number} height number of blocks up to the block
+     * @param {string} hash
+     * @returns {boolean}
+     */
+    hasBlock(height, hash) {
+        return height > 0 && height <= this.chain.blocks.length && this.blockHash(this.chain.blocks[height - 1].header) == hash;
+    }
+
+    /**
+     * Sends request to sync peer, the peer is dropped if it does not answer in time
+     * @param {string} type
+     * @param {Object} data
+     */
+    requestSync(type, data) {
+        const { peer } = this.syncing;
+        this.clock.clearTimeout(this.syncing.timeout);
+        this.syncing.timeout = this.clock.setTimeout(() => {
+            this.logger.warn("sync peer timed out", { peer });
+            this.dropSyncPeer(peer);
+        }, syncTimeout);
+        this.send({ type, data, for: peer });
+    }
+
+    /**
+     * Requests next page of blocks from sync peer
+     */
+    requestRange() {
+        const from = this.chain.blocks.length;
+        this.requestSync("GET_RANGE", { from, to: Math.min(from + syncPageSize, this.syncing.statuses[this.syncing.peer].height) });
+    }
+
+    /**
+     * Requests page of block hashes of sync peer below height, to find the common ancestor of a fork
+     * @param {number} to height after the last requested hash
+     */
+    requestHashes(to) {
+        this.requestSync("GET_HASHES", { from: Math.max(0, to - hashesPageSize), to });
+    }
+
+    /**
+     * Stops syncing from peer and continues from the next one
+     * @param {string} peer
+     */
+    dropSyncPeer(peer) {
+        delete this.syncing.statuses[peer];
+        this.nextSyncPeer();
+    }
+
+    /**
+     * Page of blocks for a syncing peer
+     * @param {number} from first height
+     * @param {number} to height after the last block
+     * @returns {Object}
+     */
+    getRange(from, to) {
+        from = Math.max(0, Math.min(parseInt(from) || 0, this.chain.blocks.length));
+        to = Math.max(from, Math.min(parseInt(to) || 0, from + syncPageSize, this.chain.blocks.length));
+        return { from, blocks: this.chain.blocks.slice(from, to) };
+    }
+
+    /**
+     * Page of block hashes for a peer looking for the common ancestor of a fork
+     * @param {number} from first height
+     * @param {number} to height after the last hash
+     * @returns {Object}
+     */
+    getHashes(from, to) {
+        from = Math.max(0, Math.min(parseInt(from) || 0, this.chain.blocks.length));
+        to = Math.max(from, Math.min(parseInt(to) || 0, from + hashesPageSize, this.chain.blocks.length));
+        return { from, hashes: this.chain.blocks.slice(from, to).map(block => this.blockHash(block.header)) };
+    }
+
+    /**
+     * Verifies page of blocks from sync peer against their headers and applies it.
+     * Every block must extend the local tip, reproduce its merkle and state roots and be final.
+     * A block at the height of peer statuses must have the merkle root reported by most of their stake.
+     * A block of a forked chain that does not extend the local tip is the start of the fork lookup
+     * @param {string} peer
+     * @param {Object} range
+     */
+    applyRange(peer, { from, blocks }) {
+        if (from != this.chain.blocks.length) return;
+        if (!Array.isArray(blocks) || blocks.length == 0) {
+            this.logger.warn("sync peer sent empty page", { peer, from });
+            return this.dropSyncPeer(peer);
+        }
+
+        for (let block of blocks) {
+            const [reasons, , stateRoot] = this.executeBlock(block);
+            if (reasons.includes("Invalid parent") && block.header.height == this.chain.blocks.length && this.syncing.target.fork) {
+                // the forked chain is longer than the local chain, it differs below the local tip
+                this.logger.warn("block of the chain of the most stake does not extend the local chain, looking for common ancestor", { peer, height: this.chain.blocks.length });
+                return this.requestHashes(this.chain.blocks.length);
+            }
+            const reported = this.reportedRoot(block.header.height + 1);
+            if (reported && reported != block.header.merkleRoot) reasons.push("Merkle root differs from the root reported by most stake");
+            if (!this.blockFinal(block)) reasons.push("Block is not final");
+            else if (reasons.length == 1 && reasons[0] == "Invalid state root") {
+                // validators signed the block, so this node computes another state than the network
+                return this.halt(this.divergence(block, stateRoot));
+            }
+            if (reasons.length > 0) {
+                this.logger.warn("sync peer sent invalid block", { peer, height: this.chain.blocks.length, reasons });
+                this.penalize(peer, penalties.invalidBlock, "invalid block");
+                return this.dropSyncPeer(peer);
+            }
+            this.applyBlock(this.chain.accounts, block);
+            this.appendHistory(block);
+        }
+
+        if (this.chain.blocks.length < this.syncing.statuses[peer].height) {
+            this.requestRange();
+        } else {
+            this.nextSyncPeer();
+        }
+    }
+
+    /**
+     * Merkle root that validators holding most of the stake of the statuses at height reported,
+     * so pages of one sync peer are not checked only against its own status
+     * @param {number} height number of blocks
+     * @returns {string|null} null if no root has more than half of the reporting stake
+     */
+    reportedRoot(height) {
+        const weights = this.validatorWeights();
+        const stakes = new Map();
+        let total = 0n;
+        for (let [peer, status] of Object.entries(this.syncing.statuses)) {
+            if (status.height !== height || !weights[peer]) continue;
+            stakes.set(status.root, (stakes.get(status.root) || 0n) + weights[peer]);
+            total += weights[peer];
+        }
+        for (let [root, stake] of stakes) {
+            if (stake * 2n > total) return root;
+        }
+        return null;
+    }
+
+    /**
+     * Looks for the common ancestor of the local chain and the chain of the sync peer
+     * in a page of its block hashes, the highest block both have. Without one, the page below is requested
+     * @param {string} peer
+     * @param {Object} page
+     */
+    applyHashes(peer, { from, hashes }) {
+        if (!Number.isInteger(from) || !Array.isArray(hashes) || hashes.length == 0) {
+            this.logger.warn("sync peer sent empty page", { peer, from });
+            return this.dropSyncPeer(peer);
+        }
+        for (let index = hashes.length - 1; index >= 0; index--) {
+            if (this.hasBlock(from + index + 1, hashes[index])) return this.resolveFork(peer, from + index + 1);
+        }
+        if (from == 0) {
+            // peers have the same genesis block, see handshake
+            this.penalize(peer, penalties.invalidBlock, "no common block");
+            return this.dropSyncPeer(peer);
+        }
+        if (this.chain.blocks.length - from >= maxRollback) return this.resolveFork(peer, null);
+        this.requestHashes(from);
+    }
+
+    /**
+     * Rolls the local chain back to the common ancestor with the forked chain of more than 2/3 of validator stake,
+     * then downloads the blocks after it. A fork deeper than maxRollback blocks is not rolled back,
+     * the local chain is kept. Either way the fork is recorded
+     * @param {string} peer
+     * @param {number|null} ancestor number of blocks both chains share, null if not found within maxRollback blocks
+     */
+    resolveFork(peer, ancestor) {
+        const height = this.chain.blocks.length;
+        if (ancestor == height) return this.requestRange();
+        const { target } = this.syncing;
+        const rollback = ancestor !== null;
+        this.recordFork({
+            time: Math.floor(this.clock.now() / 1000),
+            outcome: rollback ? 'rolled_back' : 'unresolved',
+            ancestor,
+            height,
+            hash: this.tipHash(),
+            peer,
+            peerHeight: target.height,
+            peerHash: target.hash,
+            stake: target.stake.toString(),
+            total: target.total.toString(),
+            rolledBack: rollback ? height - ancestor : 0
         });
+        if (!rollback) return this.finishSync();
+        this.rollback(ancestor);
+        // statuses of other peers refer to blocks that were dropped
+        this.syncing.statuses = { [peer]: this.syncing.statuses[peer] };
+        this.requestRange();
     }
 
     /**
-     * If no socket connections, server will be restart
-     * @param {number} seconds 
+     * Drops blocks from height on and rebuilds accounts state and merkle tree of the kept blocks,
+     * from the snapshot if it is not above height. Votes of the current height are dropped,
+     * transactions of dropped blocks go back to the mempool
+     * @param {number} height number of blocks kept
+     * @returns {Array<Object>} dropped blocks
      */
-    reconnect(seconds) {
-        if (!this.sockets.some(socket => socket.readyState === WebSocket.OPEN)) {
-            console.log(`restarting in ${seconds} seconds`)
-            setTimeout(() => {
-                if (!this.sockets.some(socket => socket.readyState === WebSocket.OPEN)) {
-                    console.log("restart");
-                    process.exit(0);
-                } else {
-                    console.log("restart cancelled");
-                }
-            }, seconds*1000);
+    rollback(height) {
+        const dropped = this.chain.blocks.splice(height);
+        const snapshot = this.storage ? this.storage.loadSnapshot(height + dropped.length) : null;
+        const restored = snapshot && snapshot.height <= height && this.stateRoot(snapshot.accounts) == this.chain.blocks[snapshot.height - 1].header.stateRoot;
+        this.chain.accounts = restored ? snapshot.accounts : {};
+        this.transactionMerkle = restored ? TransactionMerkle.fromJSON(snapshot.merkle) : new TransactionMerkle();
+        const start = restored ? snapshot.height : 0;
+        this.chain.blocks.length = start + this.createAccState(this.chain.blocks.slice(start));
+        this.indexHistory(0);
+        if (this.storage) this.storage.replace(this.chain.blocks);
+        this.saveSnapshot();
+
+        this.clock.clearTimeout(this.roundTimeout);
+        this.roundTimeout = null;
+        this.roundStarted = null;
+        this.votes = {};
+        this.consensus = {};
+        this.vote = null;
+        this.nextProposal = null;
+        this.round = 0;
+        for (let block of dropped) {
+            for (let data of block.transactions) {
+                const transaction = Transaction.fromObject(data);
+                if (!this.knownTransaction(transaction)) this.addPending(transaction);
+            }
+        }
+        return dropped;
+    }
+
+    /**
+     * Records fork of the local chain for operators: logged, counted, emitted and kept with the recent forks
+     * @param {Object} event
+     */
+    recordFork(event) {
+        this.forks = [...this.forks, event].slice(-keptForks);
+        if (this.storage) this.storage.saveForks(this.forks);
+        this.metrics.inc('forks_total', { outcome: event.outcome });
+        this.metrics.inc('rolled_back_blocks_total', {}, event.rolledBack);
+        if (event.outcome == 'rolled_back') this.logger.warn("chain forked, rolling back to common ancestor", event);
+        else this.logger.error("chain forked deeper than the rollback limit, keeping local chain", event);
+        this.emit('fork', event);
+    }
+
+    /**
+     * Starts a sync to compare the local chain with the tip of the most stake,
+     * at most once per forkCheckInterval
+     */
+    checkFork() {
+        if (this.syncing || (this.lastForkCheck !== null && this.clock.now() - this.lastForkCheck < forkCheckInterval)) return;
+        this.lastForkCheck = this.clock.now();
+        this.sync();
+    }
+
+    /**
+     * Merkle root of transactions of the first blocks
+     * @param {number} height number of blocks
+     * @returns {string}
+     */
+    merkleAt(height) {
+        const size = this.chain.blocks.slice(height).reduce((size, block) => size - block.transactions.length, this.transactionMerkle.size());
+        return this.transactionMerkle.rootAt(size);
+    }
+
+    /**
+     * Indexes history transactions by hash
+     * @param {number} start first block height to index
+     */
+    indexHistory(start) {
+        if (start == 0) this.txIndex = new Map();
+        for (let height = start; height < this.chain.blocks.length; height++) {
+            this.blockTxids(this.chain.blocks[height]).forEach((txid, index) => this.txIndex.set(txid, { height, index }));
         }
     }
 
-    connectSocket(socket) {
+    /**
+     * Block at height with its hash
+     * @param {number} height
+     * @returns {Object}
+     */
+    getBlock(height) {
+        const block = this.chain.blocks[height];
+        if (!block) return null;
+        return { hash: this.blockHash(block.header), ...block };
+    }
+
+    /**
+     * History transaction by hash, with the block it was accepted in
+     * @param {string} txid
+     * @returns {Object}
+     */
+    getTransaction(txid) {
+        const position = this.txIndex.get(txid);
+        if (!position) return null;
+        const block = this.chain.blocks[position.height];
+        return {
+            hash: txid,
+            height: position.height,
+            index: position.index,
+            block: this.blockHash(block.header),
+            transaction: block.transactions[position.index],
+            validators: block.validators,
+            validatorsRoot: block.validatorsRoot
+        };
+    }
+
+    /**
+     * Merkle inclusion proof of history transaction
+     * @param {Object} query
+     * @param {string} query.hash transaction hash
+     * @param {number} query.index merkle leaf index
+     * @returns {Object}
+     */
+    getProof({ hash: leafHash, index } = {}) {
+        const leaf = leafHash !== undefined ? leafHash : this.transactionMerkle.getLeaves()[index];
+        const proof = leaf !== undefined ? this.transactionMerkle.getProof(leaf) : null;
+        return { leaf, proof, root: this.merkle() };
+    }
+
+    /**
+     * Starts handshake with connected peer
+     * @param {WebSocket} socket
+     * @param {boolean} outbound connection was dialed by this node
+     */
+    connectSocket(socket, outbound = false) {
         this.sockets.push(socket);
-        this.send({ type: "VALIDATOR", data: this.publicKey });
-        this.msgHandler(socket);
+        socket.outbound = outbound;
         socket.on('close', () => {
-            this.validators = new Set();
-            this.send({ type: "VALIDATORS" });
+            this.sockets = this.sockets.filter(item => item != socket);
         });
+        socket.challenge = crypto.randomBytes(32).toString('hex');
+        const hello = { ...Wire.hello(), chainId: this.chainId, genesis: this.genesis.hash, height: this.chain.blocks.length, listen: this.address, challenge: socket.challenge };
+        this.msgHandler(socket);
+        try {
+            // handshake messages go in plain JSON frames, which JSON-only peers can read, and are never relayed
+            socket.send(this.sign({ type: "HELLO", data: hello }));
+        } catch (err) {
+            this.logger.error("handshake not signed", { error: err });
+            socket.close();
+        }
+    }
+
+    /**
+     * Handshake with directly connected peer. HELLO has protocol version, chain id, genesis hash,
+     * height, listen address and a random challenge. AUTH signs the challenge of the other side
+     * and the key it answers to, which binds the socket to the key of the peer
+     * @param {WebSocket} socket
+     * @param {Object} message HELLO or AUTH message
+     */
+    handshake(socket, message) {
+        if (message.type == "HELLO") {
+            const hello = message.data || {};
+            socket.remoteKey = message.key;
+            let refused = null;
+            if (!Wire.supported(hello)) refused = `protocol version ${hello.version}`;
+            else if (hello.chainId != this.chainId || hello.genesis != this.genesis.hash) refused = "different genesis";
+            else if (message.key == this.publicKey) refused = "own key";
+            else if (this.scores.banned(message.key)) refused = "banned";
+            if (refused) {
+                this.logger.info("refusing peer", { peer: message.key, reason: refused });
+                return socket.close();
+            }
+            socket.hello = { ...hello, key: message.key };
+            socket.send(this.sign({ type: "AUTH", data: { challenge: hello.challenge, to: message.key } }));
+            return;
+        }
+
+        if (socket.key || !socket.hello || message.key != socket.hello.key || message.data?.challenge != socket.challenge || message.data?.to != this.publicKey) {
+            // an AUTH answering another node's HELLO was relayed by a man in the middle
+            this.logger.warn("peer failed authentication", { peer: message.key });
+            return socket.close();
+        }
+        const existing = this.sockets.find(item => item != socket && item.key == message.key && item.readyState === WebSocket.OPEN);
+        if (existing) {
+            // both sides keep the connection dialed by the smaller key
+            const dialer = item => item.outbound ? this.publicKey : message.key;
+            const duplicate = dialer(existing) <= dialer(socket) ? socket : existing;
+            duplicate.close();
+            if (duplicate == socket) return;
+        }
+        const { version, height, listen } = socket.hello;
+        socket.key = message.key;
+        socket.peer = { key: message.key, version, height, listen, outbound: socket.outbound };
+        socket.wire = Wire.negotiate(socket.hello);
+        this.logger.info("peer connected", { peer: message.key, height, outbound: socket.outbound });
+        this.peerManager.connected(socket);
+        this.send({ type: "GET_PEERS", for: message.key });
+        if (height > this.chain.blocks.length && !this.syncing) this.sync();
+    }
+
+    /**
+     * Lowers score of peer, a banned peer is disconnected
+     * @param {string} key
+     * @param {number} points
+     * @param {string} reason
+     */
+    penalize(key, points, reason) {
+        if (!this.scores.penalize(key, points)) {
+            this.logger.warn("peer penalized", { peer: key, reason, score: this.scores.score(key) });
+            return;
+        }
+        this.logger.warn("peer banned", { peer: key, reason });
+        this.sockets.filter(socket => socket.key == key).forEach(socket => socket.close());
+    }
+
+    /**
+     * Connected peers with their handshake data and score
+     * @returns {Array<Object>}
+     */
+    getPeers() {
+        return this.sockets.filter(socket => socket.key && socket.readyState === WebSocket.OPEN)
+            .map(socket => ({ ...socket.peer, score: Math.round(this.scores.score(socket.key)) }));
     }
 
     /**
@@ -149,92 +795,839 @@ class P2P {
     }
 
     /**
-     * Create accounts state in chain
-     * @param {Array<Object>} transactions 
+     * Block hash, the header commits to the transactions through the merkle root
+     * @param {Object} header
+     * @returns {string}
      */
-    createAccState(transactions) {
-        let i = 0;
-        for (let transactionData of transactions) {
-            const transaction = Transaction.deserialize(JSON.stringify(transactionData.transaction));
-            let valid = this.transactionValid(transaction, false);
-            if (i < 6 && transaction.body == "GENESIS") valid[0] = true;
-            if (!valid[0]) {
-                console.log("transaction invalid "+valid[1]+": " + transaction.serialize());
-                continue;
-            };
+    blockHash(header) {
+        return hash(Wire.canonical(header));
+    }
+
+    /**
+     * Hash of the last block
+     * @returns {string}
+     */
+    tipHash() {
+        const block = this.chain.blocks[this.chain.blocks.length - 1];
+        return block ? this.blockHash(block.header) : GENESIS_PARENT;
+    }
+
+    /**
+     * Block 0 of the genesis file. It has no transactions, its state root commits to the initial accounts
+     * @returns {Object}
+     */
+    genesisBlock() {
+        const accounts = {};
+        this.applyGenesis(accounts);
+        return {
+            header: {
+                height: 0,
+                parent: GENESIS_PARENT,
+                round: 0,
+                timestamp: this.genesis.timestamp,
+                genesis: this.genesis.hash,
+                merkleRoot: this.transactionMerkle.rootAt(0),
+                stateRoot: this.stateRoot(accounts)
+            },
+            transactions: [],
+            commit: [],
+            evidence: [],
+            validators: {},
+            validatorsRoot: this.votesRoot({})
+        };
+    }
+
+    /**
+     * Credits allocations and stakes of initial validators of the genesis file
+     * @param {Object} accounts
+     */
+    applyGenesis(accounts) {
+        for (let [key, amount] of Object.entries(this.genesis.allocations)) this.account(key, accounts).balance += amount;
+        for (let [key, stake] of Object.entries(this.genesis.validators)) this.account(key, accounts).stake += stake;
+    }
+
+    /**
+     * Transaction ids of block in order
+     * @param {Object} block
+     * @returns {Array<string>}
+     */
+    blockTxids(block) {
+        return block.transactions.map(data => Transaction.fromObject(data).txid());
+    }
+
+    /**
+     * Merkle root of accounts state, see StateMerkle
+     * @param {Object} accounts
+     * @returns {string}
+     */
+    stateRoot(accounts) {
+        return new StateMerkle(accounts).getRoot();
+    }
 
-            if (!(transaction.from == "GENESIS" && i < 6)) {
-                this.chain.accounts[transaction.from] = (this.chain.accounts[transaction.from] || { balance: 0, stake: 0, nonce: 0 });
-                this.chain.accounts[transaction.from].balance -= transaction.amount;
+    /**
+     * Merkle inclusion proof of account against the state root of the latest block
+     * @param {string} key
+     * @returns {Object} null if account does not exist
+     */
+    getAccountProof(key) {
+        const account = this.chain.accounts[key];
+        if (!account) return null;
+        const tip = this.chain.blocks[this.chain.blocks.length - 1];
+        return {
+            leaf: StateMerkle.leaf(key, account),
+            proof: new StateMerkle(this.chain.accounts).getProof(key),
+            root: tip.header.stateRoot,
+            height: tip.header.height,
+            block: this.blockHash(tip.header)
+        };
+    }
+
+    /**
+     * Diagnostic of a final block whose state root differs from the state computed by this node.
+     * Votes show which validators computed which root
+     * @param {Object} block
+     * @param {string} stateRoot root computed by this node
+     * @param {Object} votes votes on the block by validator, if known
+     * @returns {Object}
+     */
+    divergence(block, stateRoot, votes = {}) {
+        return {
+            height: block.header.height,
+            block: this.blockHash(block.header),
+            stateRoot: block.header.stateRoot,
+            localStateRoot: stateRoot,
+            validatorStateRoots: Object.fromEntries(Object.entries(votes).map(([key, vote]) => [key, vote.data.stateRoot]))
+        };
+    }
+
+    /**
+     * Stops the node because its accounts state diverged from blocks the network agreed on.
+     * Going on would vote against every following block, or sign a different history
+     * @param {Object} diagnostic see divergence()
+     */
+    halt(diagnostic) {
+        this.halted = diagnostic;
+        this.logger.error("accounts state diverged from the network, halting", diagnostic);
+        this.stop();
+    }
+
+    /**
+     * Create accounts state in chain. Replay stops at the first block
+     * whose votes do not reach the stake quorum of its validator set,
+     * or that has a transaction invalid at its height
+     * @param {Array<Object>} blocks
+     * @returns {number} number of applied blocks
+     */
+    createAccState(blocks) {
+        let applied = 0;
+        for (let block of blocks) {
+            if (!this.blockFinal(block)) {
+                this.logger.warn("block is not final", { height: block.header.height });
+                break;
             }
+            // blocks never include invalid transactions, the merkle tree has only applied ones
+            const accounts = structuredClone(this.chain.accounts);
+            const rejected = this.applyBlock(accounts, block);
+            if (rejected.length > 0) {
+                this.logger.warn("block has invalid transactions", { height: block.header.height, rejected });
+                break;
+            }
+            this.chain.accounts = accounts;
+            const stateRoot = this.stateRoot(this.chain.accounts);
+            if (stateRoot != block.header.stateRoot) {
+                this.halt(this.divergence(block, stateRoot));
+                throw new Error(`accounts state diverged at height ${block.header.height}: state root ${stateRoot} instead of ${block.header.stateRoot}`);
+            }
+            this.blockTxids(block).forEach(txid => this.transactionMerkle.addLeaf(txid));
+            applied++;
+        }
+        return applied;
+    }
 
-            if (transaction.to != "stake") {
-                this.chain.accounts[transaction.to] = (this.chain.accounts[transaction.to] || { balance: 0, stake: 0, nonce: 0 });
-                this.chain.accounts[transaction.to].balance += Math.floor(transaction.amount - fee);
-            } else {
-                this.chain.accounts[transaction.from].stake += Math.floor(transaction.amount - fee);
+    /**
+     * Account state, created empty if missing
+     * @param {string} key
+     * @param {Object} accounts
+     * @returns {Object}
+     */
+    account(key, accounts = this.chain.accounts) {
+        accounts[key] = (accounts[key] || { balance: 0n, stake: 0n, nonce: 0, unbonding: [] });
+        return accounts[key];
+    }
+
+    /**
+     * Hash of validator votes record stored with block
+     * @param {Object} record
+     * @returns {string}
+     */
+    votesRoot(record = {}) {
+        return hash(Wire.canonical(record));
+    }
+
+    /**
+     * Vote record stored with block: stake weight of every validator and its signed vote
+     * @param {Object<string, bigint>} weights
+     * @param {Object<string, Object>} votes signed VOTE messages by validator
+     * @returns {Object}
+     */
+    voteRecord(weights, votes) {
+        return Object.fromEntries(Object.keys(weights).sort().map(key => [key, { weight: weights[key].toString(), vote: votes[key] || null }]));
+    }
+
+    /**
+     * Validator weights of vote record
+     * @param {Object} record
+     * @returns {Object<string, bigint>}
+     */
+    recordWeights(record = {}) {
+        return Object.fromEntries(Object.entries(record).map(([key, { weight }]) => [key, BigInt(weight)]));
+    }
+
+    /**
+     * Valid votes on block by validator: signed by a validator of weights, one per validator
+     * @param {Object<string, bigint>} weights
+     * @param {Array<Object>} votes signed VOTE messages
+     * @param {string} blockHash
+     * @returns {Object<string, boolean>}
+     */
+    countVotes(weights, votes, blockHash) {
+        const counted = {};
+        for (let vote of votes) {
+            if (!vote || vote.type != "VOTE" || weights[vote.key] === undefined || counted[vote.key] !== undefined) continue;
+            if (vote.data?.hash != blockHash || !this.verifyMessage(vote)) continue;
+            counted[vote.key] = vote.data.valid === true;
+        }
+        return counted;
+    }
+
+    /**
+     * Stake voted for and against block
+     * @param {Object<string, bigint>} weights
+     * @param {Array<Object>} votes signed VOTE messages
+     * @param {string} blockHash
+     * @returns {{approved: bigint, rejected: bigint, total: bigint}}
+     */
+    voteWeights(weights, votes, blockHash) {
+        let approved = 0n;
+        let rejected = 0n;
+        for (let [key, valid] of Object.entries(this.countVotes(weights, votes, blockHash))) {
+            if (valid) approved += weights[key];
+            else rejected += weights[key];
+        }
+        const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0n);
+        return { approved, rejected, total };
+    }
+
+    /**
+     * Is block final: its vote record has the stake of the validator set
+     * at its height and more than 2/3 of it voted for the block
+     * @param {Object} block
+     * @returns {boolean}
+     */
+    blockFinal(block) {
+        if (block.header.height == 0) return true;
+        const record = block.validators || {};
+        if (block.validatorsRoot != this.votesRoot(record)) return false;
+        const weights = this.validatorWeights();
+        const recorded = this.recordWeights(record);
+        if (Object.keys(recorded).length != Object.keys(weights).length) return false;
+        if (Object.keys(weights).some(key => recorded[key] !== weights[key])) return false;
+        const votes = Object.values(record).map(item => item.vote);
+        const { approved, total } = this.voteWeights(weights, votes, this.blockHash(block.header));
+        return approved * 3n > total * 2n;
+    }
+
+    /**
+     * Reasons block is not a valid next block of the chain, for offline verification of history.
+     * Checks what a syncing node checks, and also the proposer, the timestamp
+     * and that every vote of the record is signed by its validator for this block.
+     * Block 0 must be the genesis block of the genesis file
+     * @param {Object} block
+     * @returns {Array<string>}
+     */
+    verifyBlock(block) {
+        if (!block?.header) return ["Block has no header"];
+        if (block.header.height === 0) {
+            if (this.chain.blocks.length == 0 && this.blockHash(block.header) == this.blockHash(this.genesisBlock().header)) return [];
+            return ["Genesis block does not match the genesis file"];
+        }
+        const [reasons] = this.executeBlock(block);
+        try {
+            const { header } = block;
+            const record = block.validators || {};
+            const blockHash = this.blockHash(header);
+            if (header.proposer != this.proposer(header.height, header.round)) reasons.push("Invalid proposer");
+            const parent = this.chain.blocks[this.chain.blocks.length - 1];
+            if (parent && header.timestamp < parent.header.timestamp) reasons.push("Invalid block timestamp");
+            if (block.validatorsRoot != this.votesRoot(record)) reasons.push("Invalid validators root");
+            for (let [key, { vote }] of Object.entries(record)) {
+                if (vote && (vote.key != key || vote.data?.hash != blockHash || !this.verifyMessage(vote))) reasons.push(`Invalid vote of validator ${key}`);
             }
-            if (!(transaction.data == "GENESIS" && i < 6) && transactionData.validatorsRoot == hash(Object.keys(transactionData.validators).sort().join(':') + ":" + Object.values(transactionData.validators).sort().join(':'))) {
-                for (let [validator, valid] of Object.entries(transactionData.validators)) {
-                    if (valid == false)
-                        this.chain.accounts[validator].stake -= fine;
-                    else
-                        this.chain.accounts[validator].balance += Math.floor(fee / Object.keys(transactionData.validators).length) + 1;
-                }
-                this.chain.accounts[transaction.from].nonce++;
+            if (!this.blockFinal(block)) reasons.push("Block is not final");
+        } catch (err) {
+            reasons.push(err.message);
+        }
+        return reasons;
+    }
+
+    /**
+     * Votes of the last block, included in the next block to pay its validators
+     * @returns {Array<Object>}
+     */
+    lastCommit() {
+        const parent = this.chain.blocks[this.chain.blocks.length - 1];
+        if (!parent || parent.header.height == 0) return [];
+        return Object.values(parent.validators).map(item => item.vote).filter(vote => vote);
+    }
+
+    /**
+     * Is commit of block a stake quorum of votes for its parent
+     * @param {Object} block
+     * @returns {boolean}
+     */
+    commitValid(block) {
+        if (block.header.height == 0) return true;
+        if (!Array.isArray(block.commit)) return false;
+        const parent = this.chain.blocks[block.header.height - 1];
+        if (!parent || parent.header.height == 0) return block.commit.length == 0;
+        const { approved, total } = this.voteWeights(this.recordWeights(parent.validators), block.commit, this.blockHash(parent.header));
+        return approved * 3n > total * 2n;
+    }
+
+    /**
+     * Pays validators of the parent block from fee pool by their stake,
+     * validators that voted against it are slashed by fine
+     * @param {Object} accounts
+     * @param {number} height height of the block including the commit
+     * @param {Array<Object>} commit signed votes of the parent block
+     */
+    applyCommit(accounts, height, commit) {
+        const parent = this.chain.blocks[height - 1];
+        if (!parent || parent.header.height == 0 || !Array.isArray(commit)) return;
+        const weights = this.recordWeights(parent.validators);
+        const votes = this.countVotes(weights, commit, this.blockHash(parent.header));
+        const approved = Object.keys(votes).filter(key => votes[key]).reduce((sum, key) => sum + weights[key], 0n);
+        const pool = this.account(FEE_POOL, accounts);
+        const fees = pool.balance;
+        for (let [validator, valid] of Object.entries(votes)) {
+            if (!accounts[validator]) continue;
+            if (!valid) {
+                this.slash(accounts, validator, this.params.fine, 'fine');
+            } else {
+                const reward = fees * weights[validator] / approved;
+                accounts[validator].balance += reward;
+                pool.balance -= reward;
             }
-            this.transactionMerkle.add(transaction.serialize());
-            
-            i++;
         }
     }
 
     /**
-     * Is transaction valid
-     * @param {Transaction} transaction 
-     * @param {boolean} now
+     * Slashes bonded stake of validator, both staked and unbonding, by basis points.
+     * Slashings of the node's own state are logged and counted
+     * @param {Object} accounts
+     * @param {string} key
+     * @param {bigint} basisPoints
+     * @param {string} reason fine or double_vote
+     */
+    slash(accounts, key, basisPoints, reason) {
+        const account = accounts[key];
+        if (!account) return;
+        if (accounts == this.chain.accounts) {
+            this.metrics.inc('slashings_total', { reason });
+            this.logger.warn("validator slashed", { validator: key, reason, basisPoints });
+        }
+        const cut = amount => amount - amount * basisPoints / 10000n;
+        account.stake = cut(account.stake) > 0n ? cut(account.stake) : 0n;
+        for (let entry of account.unbonding) {
+            entry.amount = cut(entry.amount) > 0n ? cut(entry.amount) : 0n;
+        }
+    }
+
+    /**
+     * Offense of double vote evidence: validator, height and round
+     * @param {Array<Object>} evidence
+     * @returns {string}
+     */
+    evidenceId([vote]) {
+        return `${vote.key}:${vote.data.height}:${vote.data.round}`;
+    }
+
+    /**
+     * Is evidence two signed votes of one key for different blocks in the same height and round,
+     * recent enough that the stake is still bonded and not punished in an earlier block
+     * @param {Array<Object>} evidence
+     * @param {number} height height of the block including it
      * @returns {boolean}
      */
-    transactionValid(transaction, now) {
+    evidenceValid(evidence, height) {
+        if (!Array.isArray(evidence) || evidence.length != 2) return false;
+        const [first, second] = evidence;
+        if (first?.type != "VOTE" || second?.type != "VOTE" || first.key != second.key) return false;
+        const { height: voteHeight, round, hash: blockHash } = first.data || {};
+        if (!Number.isInteger(voteHeight) || voteHeight > height || voteHeight < height - this.params.unbondingBlocks) return false;
+        if (second.data?.height !== voteHeight || second.data?.round !== round || second.data?.hash == blockHash) return false;
+        if (!this.verifyMessage(first) || !this.verifyMessage(second)) return false;
+        const id = this.evidenceId(evidence);
+        for (let block of this.chain.blocks.slice(Math.max(height - this.params.unbondingBlocks, 0), height)) {
+            if ((block.evidence || []).some(item => this.evidenceId(item) == id)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Valid evidence of block, each offense once
+     * @param {Object} block
+     * @returns {Array<Array<Object>>}
+     */
+    blockEvidence(block) {
+        const offenses = new Set();
+        return (Array.isArray(block.evidence) ? block.evidence : []).filter(evidence => {
+            if (!this.evidenceValid(evidence, block.header.height) || offenses.has(this.evidenceId(evidence))) return false;
+            offenses.add(this.evidenceId(evidence));
+            return true;
+        });
+    }
+
+    /**
+     * Adds double vote evidence to be included in the next block
+     * @param {Array<Object>} evidence two conflicting signed VOTE messages
+     * @returns {boolean} added
+     */
+    addEvidence(evidence) {
+        if (!this.evidenceValid(evidence, this.chain.blocks.length)) return false;
+        const account = this.chain.accounts[evidence[0].key];
+        // nothing to slash
+        if (!account || account.stake + account.unbonding.reduce((sum, entry) => sum + entry.amount, 0n) == 0n) return false;
+        const id = this.evidenceId(evidence);
+        if (this.evidence.has(id)) return false;
+        this.logger.warn("double vote", { validator: evidence[0].key, height: evidence[0].data.height, round: evidence[0].data.round });
+        this.evidence.set(id, evidence);
+        return true;
+    }
+
+    /**
+     * Unbonding stake of account released at height
+     * @param {Object} account
+     * @param {number} height
+     * @returns {bigint}
+     */
+    unbonded(account, height) {
+        return account.unbonding.filter(entry => entry.until <= height).reduce((sum, entry) => sum + entry.amount, 0n);
+    }
+
+    /**
+     * Applies block to accounts state: fees and fines of its parent, then its valid transactions in order.
+     * Used for proposals, live votes and replayed history, so all paths end in the same state.
+     * Double votes of its evidence are slashed before the transactions.
+     * The genesis block (height 0) creates the initial accounts of the genesis file
+     * @param {Object} accounts
+     * @param {Object} block
+     * @returns {Array<{index: number, reasons: Array<Object>}>} rejected transactions with reasons as {code, reason}
+     */
+    applyBlock(accounts, block) {
+        const { height } = block.header;
+        const rejected = [];
+        if (height == 0) {
+            this.applyGenesis(accounts);
+            return rejected;
+        }
+        this.applyCommit(accounts, height, block.commit);
+        for (let [vote] of this.blockEvidence(block)) this.slash(accounts, vote.key, this.params.doubleVoteFine, 'double_vote');
+        block.transactions.forEach((data, index) => {
+            let transaction, valid, reasons;
+            try {
+                transaction = Transaction.fromObject(data);
+                [valid, reasons] = this.transactionValid(transaction, block.header.timestamp, accounts, height);
+            } catch (err) {
+                [valid, reasons] = [false, [{ code: 'malformed', reason: err.message }]];
+            }
+            if (!valid) return rejected.push({ index, reasons });
+            this.applyTransaction(accounts, transaction, height);
+        });
+        return rejected;
+    }
+
+    /**
+     * Applies transaction to accounts state, fee goes to the fee pool.
+     * Recipients "stake", "unstake" and "withdraw" move amount of the sender
+     * from balance to stake, from stake to unbonding and from released unbonding to balance.
+     * Recipient "multisig" registers the multisig account of the body and moves amount to it
+     * @param {Object} accounts
+     * @param {Transaction} transaction
+     * @param {number} height height of the block including the transaction
+     */
+    applyTransaction(accounts, transaction, height) {
+        const { fee, unbondingBlocks } = this.params;
+        const amount = BigInt(transaction.amount);
+        const account = this.account(transaction.from, accounts);
+        switch (transaction.to) {
+            case "unstake":
+                account.stake -= amount;
+                account.unbonding.push({ amount: amount - fee, until: height + unbondingBlocks });
+                break;
+            case "withdraw":
+                let remaining = amount;
+                for (let entry of account.unbonding.filter(entry => entry.until <= height)) {
+                    const taken = entry.amount < remaining ? entry.amount : remaining;
+                    entry.amount -= taken;
+                    remaining -= taken;
+                }
+                account.unbonding = account.unbonding.filter(entry => entry.amount > 0n);
+                account.balance += amount - fee;
+                break;
+            case "multisig":
+                const definition = Multisig.parse(transaction.body);
+                const multisig = this.account(Multisig.address(definition), accounts);
+                account.balance -= amount;
+                multisig.balance += amount - fee;
+                multisig.multisig = definition;
+                break;
+            default:
+                account.balance -= amount;
+                if (transaction.to == "stake") account.stake += amount - fee;
+                else this.account(transaction.to, accounts).balance += amount - fee;
+        }
+        this.account(FEE_POOL, accounts).balance += fee;
+        this.account(transaction.from, accounts).nonce++;
+    }
+
+    /**
+     * Executes block on a copy of accounts state and checks it against its header
+     * @param {Object} block
+     * @returns {Array} reasons the block is invalid, the resulting accounts state and its root
+     */
+    executeBlock(block) {
+        const reasons = [];
+        const accounts = structuredClone(this.chain.accounts);
+        let stateRoot = null;
         try {
-            let valid = transaction.verify();
-            let reasons = [];
-            if (transaction.timestamp > Math.floor(Date.now() / 1000) + timestampRange ||
-                (now && transaction.timestamp < timestampRange + this.pendingTxs.length * (maxVoteTime / 1000)) ||
-                transaction.amount < fee ||
-                transaction.amount != Math.floor(transaction.amount) ||
-                !this.chain.accounts[transaction.from] ||
-                this.chain.accounts[transaction.from].balance < transaction.amount ||
-                (now && transaction.nonce != this.chain.accounts[transaction.from].nonce)) valid = false;
-            
-            if (transaction.timestamp > Math.floor(Date.now() / 1000) + timestampRange) reasons.push('Transaction from future');
-            if ((now && transaction.timestamp < timestampRange + this.pendingTxs.length * (maxVoteTime / 1000))) reasons.push('Timestamp has expired');
-            if (transaction.amount < fee) reasons.push("Amount is lower than fee");
-            if (!this.chain.accounts[transaction.from]) reasons.push("Invalid from");
-            else if (this.chain.accounts[transaction.from].balance < transaction.amount) reasons.push(`Balance lower than amount (${this.chain.accounts[transaction.from].balance} < ${transaction.amount})`);
-            if (now && transaction.nonce != this.chain.accounts[transaction.from].nonce) reasons.push("Invalid nonce");
-            if (this.chain.transactions.length < 6 && transaction.body == "GENESIS") {
-                reasons = [];
-                valid = true;
+            const { header, transactions, evidence = [] } = block;
+            if (header.height != this.chain.blocks.length) reasons.push("Invalid height");
+            if (header.parent != this.tipHash()) reasons.push("Invalid parent");
+            if (!this.commitValid(block)) reasons.push("Invalid commit of parent block");
+            if (!Array.isArray(evidence) || this.blockEvidence(block).length != evidence.length) reasons.push("Invalid evidence");
+            if (!Array.isArray(transactions) || transactions.length + evidence.length == 0 || transactions.length > this.params.maxBlockTransactions) {
+                reasons.push("Invalid transaction count");
+                return [reasons, accounts, stateRoot];
+            }
+            for (let { index, reasons: rejected } of this.applyBlock(accounts, block)) {
+                reasons.push(`Transaction ${index}: ${rejected.map(item => item.reason).join(', ')}`);
+            }
+            if (this.transactionMerkle.rootAfter(this.blockTxids(block)) != header.merkleRoot) reasons.push("Invalid merkle root");
+            stateRoot = this.stateRoot(accounts);
+            if (stateRoot != header.stateRoot) reasons.push("Invalid state root");
+        } catch (err) {
+            reasons.push(err.message);
+        }
+        return [reasons, accounts, stateRoot];
+    }
+
+    /**
+     * Validators of the next block by stake: accounts with stake of at least minStake
+     * @param {Object} accounts
+     * @returns {Object<string, bigint>}
+     */
+    validatorWeights(accounts = this.chain.accounts) {
+        return Object.fromEntries(Object.keys(accounts).sort()
+            .filter(key => accounts[key].stake >= this.params.minStake)
+            .map(key => [key, accounts[key].stake]));
+    }
+
+    /**
+     * Sorted validators of the next block
+     * @returns {Array<string>}
+     */
+    validatorSet() {
+        return Object.keys(this.validatorWeights());
+    }
+
+    /**
+     * Validator proposing the block of height in round, proposers rotate over validator set
+     * @param {number} height
+     * @param {number} round
+     * @returns {string|null}
+     */
+    proposer(height, round) {
+        const validators = this.validatorSet();
+        return validators.length ? validators[(height + round) % validators.length] : null;
+    }
+
+    /**
+     * Proposes block of executable mempool transactions and pending evidence
+     * if this node is the proposer of the current round
+     */
+    propose() {
+        if (this.vote || this.syncing) return;
+        const height = this.chain.blocks.length;
+        const pending = this.mempool.executable(this.chain.accounts, this.params.maxBlockTransactions);
+        const evidence = [...this.evidence.values()].filter(item => this.evidenceValid(item, height));
+        if (pending.length + evidence.length == 0) return;
+        const proposer = this.proposer(height, this.round);
+        if (!proposer) return;
+        if (proposer != this.publicKey) {
+            // wait for proposal, next round rotates proposer
+            if (!this.roundTimeout) this.startRoundTimeout();
+            return;
+        }
+
+        // transactions are checked against the timestamp of the block, not after parent
+        const timestamp = Math.max(Math.floor(this.clock.now() / 1000), this.chain.blocks[height - 1].header.timestamp);
+        const commit = this.lastCommit();
+        const accounts = structuredClone(this.chain.accounts);
+        this.applyCommit(accounts, height, commit);
+        for (let [vote] of evidence) this.slash(accounts, vote.key, this.params.doubleVoteFine, 'double_vote');
+        const transactions = [];
+        for (let transaction of pending) {
+            const [valid, reasons] = this.transactionValid(transaction, timestamp, accounts, height);
+            if (!valid) {
+                this.logger.info("dropping pending transaction", { txid: transaction.txid(), nonce: transaction.nonce, reasons });
+                this.mempool.remove(transaction.txid());
+                this.emit('rejected', transaction, reasons, 'proposal');
+                continue;
             }
-            return [valid, reasons];
+            this.applyTransaction(accounts, transaction, height);
+            transactions.push(transaction);
+        }
+        if (transactions.length + evidence.length == 0) return;
+
+        const block = {
+            header: {
+                height,
+                parent: this.tipHash(),
+                round: this.round,
+                timestamp,
+                proposer: this.publicKey,
+                merkleRoot: this.transactionMerkle.rootAfter(transactions.map(transaction => transaction.txid())),
+                stateRoot: this.stateRoot(accounts)
+            },
+            transactions: transactions.map(transaction => JSON.parse(transaction.serialize())),
+            commit,
+            evidence
+        };
+        this.logger.info("proposing block", { ...this.roundFields(), transactions: transactions.length, evidence: evidence.length });
+        try {
+            this.send({ type: "PROPOSAL", data: block });
         } catch (err) {
-            console.log(err)
-            return [false, [err]];
+            // the round times out and the next proposer takes over
+            this.logger.error("proposal not signed", { ...this.roundFields(), error: err });
+            if (!this.roundTimeout) this.startRoundTimeout();
+            return;
+        }
+        this.voteBlock(block);
+    }
+
+    /**
+     * Is proposed block valid: proposer of its round, timestamp within timestampRange of the clock
+     * and not before its parent, and execution against header
+     * @param {Object} block
+     * @returns {Array} validity, reasons of rejection and the state root computed by this node
+     */
+    proposalValid(block) {
+        const [reasons, , stateRoot] = this.executeBlock(block);
+        const { header } = block;
+        const proposer = this.proposer(header.height, header.round);
+        if (header.proposer != proposer) reasons.push("Invalid proposer");
+        const parent = this.chain.blocks[this.chain.blocks.length - 1];
+        // a backdated block could include transactions past their validUntil
+        const now = Math.floor(this.clock.now() / 1000);
+        const { timestampRange } = this.params;
+        if (header.timestamp > now + timestampRange || header.timestamp < now - timestampRange || (parent && header.timestamp < parent.header.timestamp)) {
+            reasons.push("Invalid block timestamp");
+        }
+        return [reasons.length == 0, reasons, stateRoot];
+    }
+
+    /**
+     * Votes on proposed block and waits for votes of other validators
+     * @param {Object} block
+     */
+    voteBlock(block) {
+        const [valid, reasons, stateRoot] = this.proposalValid(block);
+        const blockHash = this.blockHash(block.header);
+        this.vote = block;
+        this.round = block.header.round;
+        if (!valid) this.logger.warn("invalid proposal", { ...this.roundFields(), proposer: block.header.proposer, reasons });
+        else this.logger.info("voting on proposal", { ...this.roundFields(), proposer: block.header.proposer, transactions: block.transactions.length });
+        this.votes[blockHash] = this.votes[blockHash] || {};
+        this.consensus = this.votes[blockHash];
+        const vote = { type: "VOTE", data: { hash: blockHash, height: block.header.height, round: block.header.round, valid, root: this.merkle(), stateRoot } };
+        try {
+            this.send(vote);
+        } catch (err) {
+            // a remote signer refuses conflicting votes, the round goes on without this one
+            this.logger.error("vote not signed", { ...this.roundFields(), error: err });
+            this.startRoundTimeout();
+            return;
+        }
+        this.consensus[this.publicKey] = vote;
+        this.startRoundTimeout();
+        this.tally();
+    }
+
+    /**
+     * Ends vote on current block once it is decided by stake: accepted with more than 2/3
+     * of validator stake, rejected once the rest can no longer reach it.
+     * Accepted block is applied and appended, rejected block moves to the next round
+     */
+    tally() {
+        if (!this.vote) return;
+        const block = this.vote;
+        const weights = this.validatorWeights();
+        const { approved, rejected, total } = this.voteWeights(weights, Object.values(this.consensus), this.blockHash(block.header));
+        if (approved * 3n <= total * 2n && rejected * 3n < total) return;
+        const result = approved * 3n > total * 2n;
+        this.logger.info("end vote", { ...this.roundFields(), outcome: result ? 'accepted' : 'rejected', approved, rejected, total });
+        this.endRound(result ? 'accepted' : 'rejected');
+
+        this.clock.clearTimeout(this.roundTimeout);
+        this.roundTimeout = null;
+        this.vote = null;
+        if (result) {
+            const record = this.voteRecord(weights, this.consensus);
+            this.applyBlock(this.chain.accounts, block);
+            const stateRoot = this.stateRoot(this.chain.accounts);
+            if (stateRoot != block.header.stateRoot) return this.halt(this.divergence(block, stateRoot, this.consensus));
+            this.appendHistory({ ...block, validators: record, validatorsRoot: this.votesRoot(record) });
+            this.round = 0;
+            for (let [blockHash, votes] of Object.entries(this.votes)) {
+                if (Object.values(votes).some(vote => vote.data.height < this.chain.blocks.length)) delete this.votes[blockHash];
+            }
+        } else {
+            this.round++;
+        }
+        this.consensus = {};
+
+        const next = this.nextProposal;
+        this.nextProposal = null;
+        if (next && next.header.height == this.chain.blocks.length && next.header.round >= this.round) {
+            this.voteBlock(next);
+        } else {
+            this.propose();
         }
     }
 
-    getVoteTimeout() {
-        const lastValidators = new Set([...this.validators]);
-        this.voteTimeout = setTimeout(() => {
-            for (let validator of [...lastValidators].filter(item => !Object.keys(this.consensus).includes(item))) {
-                const socket = this.sockets.find(item => item.key === validator);
-                if (socket) socket.close();
+    /**
+     * Starts timeout of current round. Validators that did not vote are penalized,
+     * and the next round starts with the next proposer.
+     * The timeout is logged with the validators that stalled the round:
+     * the proposer if no proposal arrived, otherwise the validators that did not vote
+     */
+    startRoundTimeout() {
+        this.clock.clearTimeout(this.roundTimeout);
+        if (this.roundStarted === null) this.roundStarted = this.clock.now();
+        const lastValidators = this.validatorSet().filter(validator => validator != this.publicKey);
+        this.roundTimeout = this.clock.setTimeout(() => {
+            this.roundTimeout = null;
+            const missing = this.vote ? lastValidators.filter(item => !Object.keys(this.consensus).includes(item)) : [];
+            for (let validator of missing) {
+                this.penalize(validator, penalties.voteTimeout, "vote timeout");
             }
+            const proposer = this.proposer(this.chain.blocks.length, this.round);
+            this.logger.warn("round timed out", { ...this.roundFields(), proposer, proposal: !!this.vote, missing });
+            this.endRound('timeout');
+            this.vote = null;
             this.consensus = {};
-            this.send({ type: "TRANSACTION", data: { transaction: this.vote.serialize(), valid: this.transactionValid(this.vote)[0], root: this.merkle() } }); // vote
-            this.getVoteTimeout()
-        }, maxVoteTime)
+            this.round++;
+            this.propose();
+        }, this.params.maxVoteTime);
+    }
+
+    /**
+     * Is transaction already in history, under vote or in mempool
+     * @param {Transaction} transaction
+     * @returns {boolean}
+     */
+    knownTransaction(transaction) {
+        const txid = transaction.txid();
+        return this.txIndex.has(txid) ||
+            (this.vote && this.blockTxids(this.vote).includes(txid)) ||
+            this.mempool.has(txid);
+    }
+
+    /**
+     * Checks transaction and adds it to mempool.
+     * Nonces ahead of the account nonce are accepted and wait there for the missing ones
+     * @param {Transaction} transaction
+     * @returns {Array} added and reasons of rejection as {code, reason}
+     */
+    addPending(transaction) {
+        let [added, reasons] = [false, [{ code: 'duplicate', reason: "Duplicate transaction" }]];
+        if (!this.knownTransaction(transaction)) {
+            [added, reasons] = this.transactionValid(transaction, Math.floor(this.clock.now() / 1000), this.chain.accounts, this.chain.blocks.length, true);
+            if (added) [added, reasons] = this.mempool.add(transaction);
+        }
+        if (!added) this.emit('rejected', transaction, reasons, 'mempool');
+        return [added, reasons];
+    }
+
+    /**
+     * Queued transactions for operators, optionally of one sender
+     * @param {Object} query
+     * @param {string} query.from sender
+     * @param {number} query.offset
+     * @param {number} query.limit at most 100
+     * @returns {Object}
+     */
+    getMempool({ from, offset, limit } = {}) {
+        offset = Math.max(parseInt(offset) || 0, 0);
+        limit = Math.min(Math.max(parseInt(limit) || 100, 1), 100);
+        const transactions = this.mempool.list(this.chain.accounts).filter(item => !from || item.from == from);
+        return { size: this.mempool.size(), total: transactions.length, offset, limit, transactions: transactions.slice(offset, offset + limit) };
+    }
+
+    /**
+     * Is transaction valid in a block with timestamp time. A block is checked against its own timestamp,
+     * so a transaction gets the same result when it is voted on live and when it is replayed.
+     * Every reason of rejection has a machine-readable code
+     * @param {Transaction} transaction 
+     * @param {number} time timestamp of the block including the transaction, in seconds
+     * @param {Object} accounts state to check against, chain accounts by default
+     * @param {number} height height of the block including the transaction, next block by default
+     * @param {boolean} queued nonces ahead of the account nonce are valid, for the mempool
+     * @returns {Array} validity and reasons of rejection as {code, reason}
+     */
+    transactionValid(transaction, time, accounts = this.chain.accounts, height = this.chain.blocks.length, queued = false) {
+        const reasons = [];
+        const reject = (code, reason) => reasons.push({ code, reason });
+        try {
+            const { fee, timestampRange } = this.params;
+            if (transaction.version != Transaction.VERSION) {
+                reject('unsupported_version', `Transaction version ${transaction.version} is not accepted, version ${Transaction.VERSION} is required`);
+                return [false, reasons];
+            }
+            const account = accounts[transaction.from];
+            if (!transaction.verify(account?.multisig)) {
+                if (Multisig.isAddress(transaction.from)) reject('invalid_signature', "Signatures do not reach the threshold of the multisig account");
+                else reject('invalid_signature', "Invalid signature");
+            }
+            if (transaction.chainId != this.chainId) reject('wrong_chain', `Transaction is for chain ${transaction.chainId}`);
+            if (transaction.timestamp > time + timestampRange) reject('future_timestamp', "Transaction from future");
+            if (transaction.validUntil < time) reject('expired', `Transaction expired at ${transaction.validUntil}`);
+
+            const amount = transaction.amount;
+            if (transaction.to == "multisig") {
+                try {
+                    const address = Multisig.address(Multisig.parse(transaction.body));
+                    if (accounts[address]?.multisig) reject('multisig_exists', `Multisig account ${address} is already registered`);
+                } catch (err) {
+                    reject('invalid_multisig', err.message);
+                }
+            }
+            if (amount < fee) reject('amount_below_fee', "Amount is lower than fee");
+            if (!account) reject('unknown_sender', "Sender account does not exist");
+            else if (transaction.to == "unstake") {
+                if (account.stake < amount) reject('insufficient_stake', `Stake lower than amount (${account.stake} < ${amount})`);
+            } else if (transaction.to == "withdraw") {
+                const unbonded = this.unbonded(account, height);
+                if (unbonded < amount) reject('insufficient_unbonded', `Released unbonding stake lower than amount (${unbonded} < ${amount})`);
+            } else if (account.balance < amount) reject('insufficient_balance', `Balance lower than amount (${account.balance} < ${amount})`);
+            if (account && transaction.nonce < account.nonce) reject('nonce_used', `Nonce already used (account nonce ${account.nonce})`);
+            else if (account && !queued && transaction.nonce != account.nonce) reject('invalid_nonce', `Invalid nonce (account nonce ${account.nonce})`);
+        } catch (err) {
+            this.logger.debug("transaction check failed", { error: err });
+            reject('malformed', err.message);
+        }
+        return [reasons.length == 0, reasons];
     }
 
     /**
@@ -242,190 +1635,222 @@ class P2P {
      * @param {WebSocket} socket 
      */
     msgHandler(socket) {
-        socket.on('message', (data) => {
+        socket.on('message', (data, isBinary) => {
+            if (this.halted) return;
             try {
-                const message = JSON.parse(data);
-                // МАГИЯ ПЕРЕСЫЛКИ ЕБАТЬ
-                const nosign = JSON.parse(data);
-                nosign.sign = undefined;
-                if (!message.key || !message.sign || !message.id || this.buf.includes(message.id) || !(ec.keyFromPublic(message.key, 'hex').verify(hash(JSON.stringify(nosign)), message.sign))) return;
-                this.buf.push(message.id);
-                if (this.buf.length > 10) this.buf.shift();
-                this.sockets.forEach(tsocket => {
-                    if (tsocket.readyState === WebSocket.OPEN && tsocket != socket) {
-                        let d = message;
-                        tsocket.send(JSON.stringify(d));
-                        //tsocket.send(data);
-                    }
-                });
-                for (let i = 0; i < this.sockets.length; i++) {
-                    if (this.sockets[i] == socket)
-                        this.sockets[i].key = message.key;
+                const text = Wire.decode(data, isBinary);
+                const message = JSON.parse(text);
+                if (this.seen.has(message.id)) return;
+                if (!this.verifyMessage(message)) {
+                    // the peer relayed or sent a message it should have dropped
+                    if (socket.key) this.penalize(socket.key, penalties.invalidSignature, "invalid signature");
+                    else socket.close();
+                    return;
                 }
+                this.seen.add(message.id);
+                if (message.type == "HELLO" || message.type == "AUTH") {
+                    this.handshake(socket, message);
+                    return;
+                }
+                // peers are served only after the handshake bound the socket to their key
+                if (!socket.key) return;
+                this.relay(socket, message);
+                // hop count is not signed, votes are stored without it
+                delete message.hops;
+                if (message.for && message.for != this.publicKey) return;
 
-
-                const isValidator = !this.chain.accounts[message.key] || this.chain.accounts[message.key]?.stake < minStake;
+                const isValidator = !this.chain.accounts[message.key] || this.chain.accounts[message.key]?.stake < this.params.minStake;
+                const height = this.chain.blocks.length;
 
                 switch (message.type) {
-                    case "GET_CHAIN":
-                        this.send({ type: "CHAIN", data: { transactions: JSON.stringify(this.chain.transactions), root: this.merkle() }, for: message.key });
+                    case "GET_STATUS":
+                        const at = message.data?.height;
+                        const hashAt = Number.isInteger(at) && at > 0 && at <= height ? this.blockHash(this.chain.blocks[at - 1].header) : null;
+                        this.send({ type: "STATUS", data: { height, root: this.merkle(), hash: this.tipHash(), hashAt }, for: message.key });
                         break;
-                    case "CHAIN":
-                        if (message.for != this.publicKey || !this.wantChain) {
-                            break;
-                        }
-                        if (!this.consensus[message.key] && message.data.root && Object.keys(message.data.transactions).length >= Object.keys(this.chain).length)
-                            this.consensus[message.key] = message.data;
-
-                        if (Object.values(this.consensus).length >= this.validators.size - 1) {
-                            const rootCount = new Map();
-                            let maxRoot = '';
-
-                            Object.values(this.consensus).forEach(({ root }) => {
-                                const count = (rootCount.get(root) || 0) + 1;
-                                rootCount.set(root, count);
-                                if (count > (rootCount.get(maxRoot) || 0)) maxRoot = root;
-                            });
-
-                            const transactions = JSON.parse(Object.values(this.consensus).find(item => item.root === maxRoot)?.transactions);
-                            if (transactions && transactions.length >= this.chain.transactions.length) {
-                                this.chain.accounts = {};
-                                this.wantChain = false;
-                                this.chain.transactions = transactions;
-                                console.log("chain synchronized: " + this.chain.transactions.length + " transactions");
-                                if (this.chain.transactions.length == 0) break;
-                                console.log("creating accounts state...");
-                                this.createAccState(transactions);
-                                console.log("done");
-                            }
-                        }
+                    case "STATUS":
+                        if (message.for != this.publicKey || !this.syncing) break;
+                        this.syncing.statuses[message.key] = message.data;
                         break;
-                    case "VALIDATORS":
-                        if (isValidator) {
-                            break;
-                        }
-                        this.validators = new Set();
-                        this.send({ type: "VALIDATOR", data: this.publicKey });
+                    case "GET_RANGE":
+                        if (message.for != this.publicKey) break;
+                        this.send({ type: "RANGE", data: this.getRange(message.data.from, message.data.to), for: message.key });
                         break;
-                    case "VALIDATOR":
-                        if (isValidator) {
-                            break;
-                        }
-                        if (message.data !== this.publicKey) this.validators.add(message.data);
-                        this.send({ type: "HELLO_VALIDATOR", data: this.publicKey });
+                    case "RANGE":
+                        if (message.for != this.publicKey || !this.syncing || this.syncing.peer != message.key) break;
+                        this.applyRange(message.key, message.data);
                         break;
-                    case "HELLO_VALIDATOR":
-                        if (isValidator) {
-                            break;
-                        }
-                        if (message.data !== this.publicKey) this.validators.add(message.data);
+                    case "GET_HASHES":
+                        if (message.for != this.publicKey) break;
+                        this.send({ type: "HASHES", data: this.getHashes(message.data.from, message.data.to), for: message.key });
+                        break;
+                    case "HASHES":
+                        if (message.for != this.publicKey || !this.syncing || this.syncing.peer != message.key) break;
+                        this.applyHashes(message.key, message.data);
+                        break;
+                    case "GET_PROOF":
+                        this.send({ type: "PROOF", data: this.getProof(message.data), for: message.key });
                         break;
                     case "NEW_TRANSACTION":
                         const transaction = Transaction.deserialize(message.data);
-                        console.log(`new tx (${transaction.nonce}) valid: ${transaction.verify()}`);
-                        if (this.vote) {
-                            console.log(`adding ${transaction.nonce} to pending`)
-                            this.pendingTxs.push(transaction);
+                        if (this.knownTransaction(transaction)) break;
+                        const [added, reasons] = this.addPending(transaction);
+                        this.logger.debug(added ? "transaction added to mempool" : "transaction rejected", { txid: transaction.txid(), from: transaction.from, nonce: transaction.nonce, reasons });
+                        if (added) this.propose();
+                        break;
+                    case "GET_PEERS":
+                        if (message.for != this.publicKey) break;
+                        this.send({ type: "PEERS", data: this.peerManager.shareable(), for: message.key });
+                        break;
+                    case "PEERS":
+                        if (message.for != this.publicKey) break;
+                        this.peerManager.learn(message.data);
+                        break;
+                    case "GET_MEMPOOL":
+                        this.send({ type: "MEMPOOL", data: this.getMempool(message.data), for: message.key });
+                        break;
+                    case "PROPOSAL":
+                        const block = message.data;
+                        if (block.header.height > height + 1) {
+                            // peers are ahead, this node missed blocks
+                            if (!this.syncing) this.sync();
                             break;
                         }
-
-                        let valid = this.transactionValid(transaction, true)[0];
-                        this.send({ type: "TRANSACTION", data: { transaction: transaction.serialize(), valid, root: this.merkle() } }); // vote
-                        this.vote = transaction;
-                        this.consensus = {};
-                        this.getVoteTimeout();
+                        if (block.header.height < height || block.header.proposer != message.key) break;
+                        if (block.header.height == height + 1) {
+                            // proposer already has the current block, vote once it is applied here
+                            this.nextProposal = block;
+                            break;
+                        }
+                        // one vote per round
+                        if (block.header.round < this.round || (this.vote && block.header.round == this.round)) break;
+                        this.voteBlock(block);
                         break;
-                    case "TRANSACTION":
-                        if (!this.vote) break;
-                        if (!message.data.root || this.merkle() != message.data.root || isValidator) {
-                            console.log('fuck ', this.merkle(), message.data.root);
+                    case "EVIDENCE":
+                        if (this.addEvidence(message.data)) this.propose();
+                        break;
+                    case "VOTE":
+                        const { height: voteHeight, round, hash: votedHash, root } = message.data || {};
+                        // votes are stored until a block is appended below their height, malformed ones would never be dropped
+                        if (!Number.isInteger(voteHeight) || !Number.isInteger(round) || round < 0 || typeof votedHash != 'string' || typeof root != 'string') break;
+                        if (isValidator || message.data.height < height - maxRollback) break;
+                        if (message.data.height > height + 1) {
+                            if (!this.syncing) this.sync();
                             break;
                         }
-                        if (!this.consensus[message.key] && this.vote.hash(false).toString('hex') == Transaction.deserialize(message.data.transaction).hash(false).toString('hex')) {
-                            console.log("add vote: " + message.key.slice(0, 4))
-                            this.consensus[message.key] = message.data;
+                        if (message.data.height <= height && this.merkleAt(message.data.height) != message.data.root) {
+                            // the validator has other blocks below the voted height, one of the two chains forked
+                            this.metrics.inc('root_mismatches_total');
+                            this.logger.warn("vote on different root", { ...this.roundFields(), validator: message.key, root: this.merkleAt(message.data.height), peerRoot: message.data.root });
+                            this.checkFork();
+                            break;
                         }
-
-                        const validators = Object.keys(this.consensus);
-                        if (validators.length >= this.validators.size) {
-                            const transaction = this.vote;
-                            this.consensus[this.publicKey] = { transaction, valid: this.transactionValid(transaction)[0] };
-                            const votes = Object.values(this.consensus).map(v => v.valid);
-                            const result = votes.filter(v => v === true).length > votes.filter(v => v === false).length;
-                            console.log("end vote: " + result);
-                            if (result) {
-                                if (!(transaction.from == "GENESIS" && this.chain.transactions.length < 6))
-                                    this.chain.accounts[transaction.from].balance -= transaction.amount;
-                                this.chain.accounts[transaction.from] = (this.chain.accounts[transaction.from] || { balance: 0, stake: 0, nonce: 0 });
-                                if (transaction.to != "stake") {
-                                    this.chain.accounts[transaction.to] = (this.chain.accounts[transaction.to] || { balance: 0, stake: 0, nonce: 0 });
-                                    this.chain.accounts[transaction.to].balance += Math.floor(transaction.amount - fee);
-                                } else {
-                                    this.chain.accounts[transaction.from].stake += Math.floor(transaction.amount - fee);
-                                }
-                                if (!(transaction.data == "GENESIS" && this.chain.transactions.length < 6)) {
-                                    validators.push(this.publicKey);
-                                    for (let validator of validators) {
-                                        if (!this.chain.accounts[validator]) continue;
-                                        if (this.consensus[validator].valid != result)
-                                            this.chain.accounts[validator].stake -= fine;
-                                        else
-                                            this.chain.accounts[validator].balance += Math.floor(fee / validators.length) + 1;
-                                    }
-                                    this.chain.accounts[transaction.from].nonce++;
-                                }
-                                const validatorsVotes = Object.fromEntries(Object.entries(this.consensus).map(([key, value]) => [key, value.valid]));
-
-                                const historyTransaction = { transaction: JSON.parse(this.vote.serialize()), validators: validatorsVotes, validatorsRoot: hash(Object.keys(validatorsVotes).sort().join(':') + ":" + Object.values(validatorsVotes).sort().join(':')) };
-                                this.chain.transactions.push(historyTransaction);
-                                this.transactionMerkle.add(transaction.serialize());
-                            } else {
-                                console.log("reasons: "+this.transactionValid(transaction)[1])
-                            }
-                            this.vote = undefined;
-                            if (this.voteTimeout)
-                                this.voteTimeout.close();
-                            if (this.pendingTxs.length > 0) {
-                                const tx = this.pendingTxs.shift();
-                                let valid = this.transactionValid(tx, true);
-                                console.log(`pending tx (${tx.nonce}) valid: ${valid}`)
-                                this.send({ type: "TRANSACTION", data: { transaction: tx.serialize(), valid, root: this.merkle() } }); // vote
-                                this.vote = tx;
-                                this.consensus = {};
-                            }
+                        if (message.data.height < height) break;
+                        const conflicting = Object.values(this.votes).map(votes => votes[message.key])
+                            .find(vote => vote && vote.data.height == message.data.height && vote.data.round == message.data.round && vote.data.hash != message.data.hash);
+                        if (conflicting) {
+                            const evidence = [conflicting, message];
+                            if (this.addEvidence(evidence)) this.send({ type: "EVIDENCE", data: evidence });
+                            break;
                         }
+                        this.votes[message.data.hash] = this.votes[message.data.hash] || {};
+                        if (!this.votes[message.data.hash][message.key]) {
+                            this.logger.debug("vote received", { ...this.roundFields(), validator: message.key, hash: message.data.hash, valid: message.data.valid });
+                            this.votes[message.data.hash][message.key] = message;
+                        }
+                        this.tally();
                         break;
                 }
             } catch (err) {
-                console.log(err.message);
+                this.logger.warn("invalid message", { peer: socket.key, error: err });
             }
         });
     }
 
-    send(payload) {
+    /**
+     * Verifies message signature.
+     * Signature covers canonical JSON of message, JSON-only peers sign JSON in their key order
+     * @param {Object} message
+     * @returns {boolean}
+     */
+    verifyMessage(message) {
+        if (!message.key || !message.sign || !message.id) return false;
+        const nosign = { ...message, sign: undefined, hops: undefined };
+        const key = ec.keyFromPublic(message.key, 'hex');
+        return key.verify(hash(Wire.canonical(nosign)), message.sign) || key.verify(hash(JSON.stringify(nosign)), message.sign);
+    }
+
+    /**
+     * Signs message
+     * @param {Object} payload
+     * @returns {string} canonical JSON of signed message
+     */
+    sign(payload) {
         payload.id = uuid.v4();
         payload.key = this.publicKey;
-        payload.sign = this.keyPair.sign(hash(JSON.stringify(payload))).toDER('hex');
-        this.sockets.forEach(socket => {
-            if (socket.readyState === WebSocket.OPEN) {
-                socket.send(JSON.stringify(payload));
-            }
-        });
+        payload.sign = this.signer.sign(Wire.canonical(payload));
+        return Wire.canonical(payload);
     }
 
     /**
-     * Sends new transaction to network
+     * Writes message to socket in wire format agreed with peer
+     * @param {WebSocket} socket
+     * @param {string} text
+     */
+    write(socket, text) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(Wire.encode(text, socket.wire));
+        }
+    }
+
+    /**
+     * Signs message and sends it to peers
+     * @param {Object} payload
+     */
+    send(payload) {
+        this.sign(payload);
+        this.seen.add(payload.id);
+        this.deliver(payload);
+    }
+
+    /**
+     * Forwards received message by its relay policy, up to maxHops times
+     * @param {WebSocket} from socket the message came from
+     * @param {Object} message
+     */
+    relay(from, message) {
+        const policy = RELAY[message.type];
+        const hops = Math.max(Number.isInteger(message.hops) ? message.hops : 0, 0) + 1;
+        if (!policy || hops > maxHops || message.for == this.publicKey) return;
+        if (policy == 'route' && !message.for) return;
+        this.deliver({ ...message, hops }, from);
+    }
+
+    /**
+     * Writes message to the addressed peer if it is connected, otherwise to all peers
+     * @param {Object} message signed message
+     * @param {WebSocket} except socket the message came from
+     */
+    deliver(message, except = null) {
+        // key order of the signer is kept, signatures of JSON-only peers cover it
+        const text = JSON.stringify(message);
+        const peers = this.sockets.filter(socket => socket.key && socket != except);
+        const target = message.for && peers.find(socket => socket.key == message.for);
+        (target ? [target] : peers).forEach(socket => this.write(socket, text));
+    }
+
+    /**
+     * Adds new transaction to mempool and sends it to network,
+     * it is included in a block by the proposer of the round
      * @param {Transaction} transaction 
+     * @returns {Array} added and reasons of rejection
      */
     sendTransaction(transaction) {
-        if (this.vote) {
-            this.pendingTxs.push(transaction);
-        } else {
-            this.vote = transaction;
-            this.consensus = {};
-            this.getVoteTimeout();
-        }
+        const [added, reasons] = this.addPending(transaction);
+        if (!added) return [added, reasons];
         this.send({ type: "NEW_TRANSACTION", data: transaction.serialize() });
+        this.propose();
+        return [added, reasons];
     }
 }
 
@@ -0,0 +1,202 @@
+const maxPeers = 1000;
+const maxShared = 100;
+// learned addresses are forgotten after this many failed dials in a row
+const maxFailures = 10;
+const maintainTime = 1000;
+
+/**
+ * Is value a WebSocket address
+ * @param {*} address
+ * @returns {boolean}
+ */
+function validAddress(address) {
+    return typeof address == 'string' && address.length <= 200 && /^wss?:\/\/[^\s/]+(\/\S*)?$/.test(address);
+}
+
+/**
+ * Connections of the node. Dials known peers until the outbound target is reached,
+ * redials them with exponential backoff and learns new addresses from connected peers.
+ * The peer table is persisted in storage, so a restarted node does not depend on its seed peers
+ * @class
+ */
+class PeerManager {
+    /**
+     * Create new peer manager
+     * @param {P2P} node
+     * @param {Object} options
+     * @param {Array<string>} options.seeds addresses that are never dropped from the peer table
+     * @param {Storage} options.storage peer table is kept only in memory without it
+     * @param {number} options.outbound target number of outbound connections
+     * @param {number} options.inbound maximum number of inbound connections
+     * @param {number} options.minBackoff milliseconds before the first redial
+     * @param {number} options.maxBackoff maximum milliseconds between redials
+     */
+    constructor(node, options = {}) {
+        this.node = node;
+        this.storage = options.storage;
+        this.outbound = options.outbound || 8;
+        this.inbound = options.inbound || 16;
+        this.minBackoff = options.minBackoff || 1000;
+        this.maxBackoff = options.maxBackoff || 5 * 60 * 1000;
+        // address -> { address, key, seed, failures, retryAt, lastConnected }
+        this.peers = new Map();
+        // addresses with a connection attempt in progress
+        this.dialing = new Set();
+
+        const stored = this.storage ? this.storage.loadPeers() : [];
+        for (let { address, key, failures, lastConnected } of stored) {
+            if (!validAddress(address)) continue;
+            this.peers.set(address, { address, key: key || null, seed: false, failures: failures || 0, retryAt: 0, lastConnected: lastConnected || null });
+        }
+        for (let address of options.seeds || []) this.add(address, true);
+    }
+
+    /**
+     * Starts dialing peers
+     */
+    start() {
+        this.timer = this.node.clock.setInterval(() => this.maintain(), maintainTime);
+        this.maintain();
+    }
+
+    /**
+     * Stops dialing peers
+     */
+    stop() {
+        this.node.clock.clearInterval(this.timer);
+    }
+
+    /**
+     * Adds address to peer table
+     * @param {string} address
+     * @param {boolean} seed
+     * @returns {Object|null} peer table entry
+     */
+    add(address, seed = false) {
+        if (!validAddress(address) || address == this.node.address) return null;
+        let entry = this.peers.get(address);
+        if (!entry) {
+            if (this.peers.size >= maxPeers && !seed) return null;
+            entry = { address, key: null, seed, failures: 0, retryAt: 0, lastConnected: null };
+            this.peers.set(address, entry);
+            this.save();
+        }
+        entry.seed = entry.seed || seed;
+        return entry;
+    }
+
+    /**
+     * Adds addresses shared by a peer
+     * @param {Array<string>} addresses
+     */
+    learn(addresses) {
+        if (!Array.isArray(addresses)) return;
+        addresses.slice(0, maxShared).forEach(address => this.add(address));
+    }
+
+    /**
+     * Dials peers until the outbound target is reached
+     */
+    maintain() {
+        const now = this.node.clock.now();
+        const sockets = this.node.sockets;
+        const open = sockets.filter(socket => socket.outbound).length + this.dialing.size;
+        if (open >= this.outbound) return;
+        const addresses = new Set(sockets.map(socket => socket.address));
+        const keys = new Set(sockets.map(socket => socket.key).filter(key => key));
+        const candidates = [...this.peers.values()]
+            .filter(entry => entry.retryAt <= now && !this.dialing.has(entry.address) && !addresses.has(entry.address))
+            .filter(entry => !entry.key || (!keys.has(entry.key) && entry.key != this.node.publicKey && !this.node.scores.banned(entry.key)))
+            .sort((a, b) => a.failures - b.failures || (b.lastConnected || 0) - (a.lastConnected || 0));
+        candidates.slice(0, this.outbound - open).forEach(entry => this.dial(entry));
+    }
+
+    /**
+     * Opens outbound connection to peer
+     * @param {Object} entry peer table entry
+     */
+    dial(entry) {
+        this.dialing.add(entry.address);
+        const socket = this.node.transport.connect(entry.address);
+        socket.address = entry.address;
+        socket.on('open', () => {
+            this.dialing.delete(entry.address);
+            this.node.connectSocket(socket, true);
+        });
+        socket.on('error', (err) => {
+            this.node.logger.info("connection error", { address: entry.address, error: err.code || err.message });
+        });
+        socket.on('close', () => {
+            this.dialing.delete(entry.address);
+            if (socket.remoteKey) entry.key = socket.remoteKey;
+            if (socket.key) {
+                // connection was established, redial soon
+                entry.retryAt = this.node.clock.now() + this.minBackoff;
+            } else {
+                this.failed(entry);
+            }
+            this.save();
+        });
+    }
+
+    /**
+     * Schedules redial of peer that could not be connected
+     * @param {Object} entry peer table entry
+     */
+    failed(entry) {
+        entry.failures++;
+        entry.retryAt = this.node.clock.now() + Math.min(this.minBackoff * 2 ** (entry.failures - 1), this.maxBackoff);
+        if (!entry.seed && entry.failures >= maxFailures) this.peers.delete(entry.address);
+    }
+
+    /**
+     * Records peer that completed the handshake
+     * @param {WebSocket} socket
+     */
+    connected(socket) {
+        const entries = [this.peers.get(socket.address), this.add(socket.peer.listen)].filter(entry => entry);
+        for (let entry of entries) {
+            entry.key = socket.key;
+            entry.failures = 0;
+            entry.lastConnected = this.node.clock.now();
+        }
+        this.save();
+    }
+
+    /**
+     * Can another inbound connection be accepted
+     * @returns {boolean}
+     */
+    acceptInbound() {
+        return this.node.sockets.filter(socket => !socket.outbound).length < this.inbound;
+    }
+
+    /**
+     * Addresses shared with peers: listen addresses of connected peers
+     * and peers this node has connected to before
+     * @returns {Array<string>}
+     */
+    shareable() {
+        const listening = this.node.getPeers().map(peer => peer.listen).filter(validAddress);
+        const known = [...this.peers.values()].filter(entry => entry.lastConnected).map(entry => entry.address);
+        return [...new Set([...listening, ...known])].slice(0, maxShared);
+    }
+
+    /**
+     * Writes peer table to storage
+     */
+    save() {
+        if (!this.storage) return;
+        this.storage.savePeers([...this.peers.values()].map(({ address, key, failures, lastConnected }) => ({ address, key, failures, lastConnected })));
+    }
+
+    /**
+     * Peer table for operators
+     * @returns {Array<Object>}
+     */
+    toJSON() {
+        return [...this.peers.values()].map(entry => ({ ...entry }));
+    }
+}
+
+module.exports = PeerManager;
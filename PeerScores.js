@@ -0,0 +1,83 @@
+const Clock = require('./Clock.js');
+
+/**
+ * Reputation of peers by public key.
+ * Misbehaviour lowers the score, which recovers slowly over time. A peer whose score
+ * drops to the ban threshold is banned for a while and starts again from zero
+ * @class
+ */
+class PeerScores {
+    /**
+     * Create new peer scores
+     * @param {Object} options
+     * @param {number} options.banThreshold score at which a peer is banned
+     * @param {number} options.banTime milliseconds of a ban
+     * @param {number} options.recovery points recovered per minute
+     * @param {Clock} options.clock
+     */
+    constructor(options = {}) {
+        this.banThreshold = options.banThreshold || -100;
+        this.banTime = options.banTime || 10 * 60 * 1000;
+        this.recovery = options.recovery || 1;
+        this.clock = options.clock || new Clock();
+        // key -> { score, updated }
+        this.scores = new Map();
+        // key -> ban end time
+        this.bans = new Map();
+    }
+
+    /**
+     * Current score of peer, 0 for unknown peers
+     * @param {string} key
+     * @returns {number}
+     */
+    score(key) {
+        const entry = this.scores.get(key);
+        if (!entry) return 0;
+        const recovered = (this.clock.now() - entry.updated) / 60000 * this.recovery;
+        return Math.min(0, entry.score + recovered);
+    }
+
+    /**
+     * Lowers score of peer
+     * @param {string} key
+     * @param {number} points
+     * @returns {boolean} peer is banned now
+     */
+    penalize(key, points) {
+        const score = this.score(key) - points;
+        if (score > this.banThreshold) {
+            this.scores.set(key, { score, updated: this.clock.now() });
+            return false;
+        }
+        this.scores.delete(key);
+        this.bans.set(key, this.clock.now() + this.banTime);
+        return true;
+    }
+
+    /**
+     * Is peer banned
+     * @param {string} key
+     * @returns {boolean}
+     */
+    banned(key) {
+        const until = this.bans.get(key);
+        if (until === undefined) return false;
+        if (until > this.clock.now()) return true;
+        this.bans.delete(key);
+        return false;
+    }
+
+    /**
+     * Scores and bans for operators
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            scores: Object.fromEntries([...this.scores.keys()].map(key => [key, Math.round(this.score(key))])),
+            bans: Object.fromEntries([...this.bans].filter(([key]) => this.banned(key)))
+        };
+    }
+}
+
+module.exports = PeerScores;
@@ -0,0 +1,121 @@
+const { Worker, MessageChannel, receiveMessageOnPort, isMainThread, workerData } = require('worker_threads');
+const net = require('net');
+
+const defaultTimeout = 5000;
+
+/**
+ * Worker side: keeps the connection to the signer socket and answers requests of the node thread.
+ * Each request is one JSON line, answered by one JSON line with the same id.
+ * A closed connection is opened again on the next request, so the signer can be restarted
+ */
+function serveWorker({ path, port, state }) {
+    let socket = null;
+    // ids of requests without answer
+    const pending = new Set();
+    const reply = (message) => {
+        pending.delete(message.id);
+        port.postMessage(message);
+        Atomics.store(state, 0, 1);
+        Atomics.notify(state, 0);
+    };
+    const connect = () => {
+        let buffer = '';
+        let error = null;
+        socket = net.connect(path);
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 1);
+                try {
+                    reply(JSON.parse(line));
+                } catch (err) {
+                    reply({ error: "invalid signer response" });
+                }
+            }
+        });
+        socket.on('error', (err) => {
+            error = err.message;
+        });
+        socket.on('close', () => {
+            pending.forEach(id => reply({ id, error: error || "signer connection closed" }));
+        });
+    };
+    port.on('message', (request) => {
+        if (!socket || socket.destroyed) connect();
+        pending.add(request.id);
+        socket.write(JSON.stringify(request) + '\n');
+    });
+}
+
+if (!isMainThread && workerData?.remoteSigner) serveWorker(workerData);
+
+/**
+ * Signs node messages in a separate signer process (see remote-signer.js) over a local socket,
+ * so the validator key is never in the node process. The signer checks every message
+ * and refuses to sign a second vote for another block in the same height and round.
+ * Signing is synchronous like Signer: the node thread waits for the answer of a worker thread
+ * @class
+ */
+class RemoteSigner {
+    /**
+     * Connect to signer
+     * @param {string} path Unix socket path of the signer
+     * @param {Object} options
+     * @param {number} options.timeout milliseconds to wait for a signature
+     */
+    constructor(path, options = {}) {
+        this.timeout = options.timeout || defaultTimeout;
+        this.state = new Int32Array(new SharedArrayBuffer(4));
+        const { port1, port2 } = new MessageChannel();
+        this.port = port1;
+        this.worker = new Worker(__filename, { workerData: { remoteSigner: true, path, port: port2, state: this.state }, transferList: [port2] });
+        this.worker.unref();
+        this.nextId = 1;
+        this.publicKey = this.request({ method: 'publicKey' }).publicKey;
+    }
+
+    /**
+     * Sends request to signer and waits for its answer
+     * @param {Object} request
+     * @returns {Object}
+     */
+    request(request) {
+        const id = this.nextId++;
+        Atomics.store(this.state, 0, 0);
+        this.port.postMessage({ ...request, id });
+        const until = Date.now() + this.timeout;
+        while (true) {
+            const left = until - Date.now();
+            if (left <= 0 || Atomics.wait(this.state, 0, 0, left) == 'timed-out') throw new Error("Remote signer timed out");
+            Atomics.store(this.state, 0, 0);
+            let received;
+            while ((received = receiveMessageOnPort(this.port))) {
+                const response = received.message;
+                // answers of requests that timed out are skipped
+                if (response.id !== undefined && response.id != id) continue;
+                if (response.error) throw new Error(`Remote signer: ${response.error}`);
+                return response;
+            }
+        }
+    }
+
+    /**
+     * Signs SHA256 of text
+     * @param {string} text canonical JSON of message
+     * @returns {string} DER signature hex
+     */
+    sign(text) {
+        return this.request({ method: 'sign', message: text }).sign;
+    }
+
+    /**
+     * Closes connection to signer
+     */
+    close() {
+        this.worker.terminate();
+    }
+}
+
+module.exports = RemoteSigner;
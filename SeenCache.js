@@ -0,0 +1,66 @@
+const Clock = require('./Clock.js');
+
+/**
+ * Ids of recently seen messages, bounded by age and count.
+ * Ids are kept in arrival order, so the oldest are evicted first
+ * @class
+ */
+class SeenCache {
+    /**
+     * Create new seen-cache
+     * @param {Object} options
+     * @param {number} options.maxSize maximum number of ids
+     * @param {number} options.ttl milliseconds an id is kept
+     * @param {Clock} options.clock
+     */
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 100000;
+        this.ttl = options.ttl || 10 * 60 * 1000;
+        this.clock = options.clock || new Clock();
+        // id -> arrival time
+        this.ids = new Map();
+    }
+
+    /**
+     * Was message seen
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        this.evict();
+        return this.ids.has(id);
+    }
+
+    /**
+     * Marks message as seen
+     * @param {string} id
+     * @returns {boolean} false if it was already seen
+     */
+    add(id) {
+        if (this.has(id)) return false;
+        this.ids.set(id, this.clock.now());
+        if (this.ids.size > this.maxSize) this.ids.delete(this.ids.keys().next().value);
+        return true;
+    }
+
+    /**
+     * Removes ids older than ttl
+     */
+    evict() {
+        const oldest = this.clock.now() - this.ttl;
+        for (let [id, time] of this.ids) {
+            if (time >= oldest) break;
+            this.ids.delete(id);
+        }
+    }
+
+    /**
+     * Number of ids in cache
+     * @returns {number}
+     */
+    size() {
+        return this.ids.size;
+    }
+}
+
+module.exports = SeenCache;
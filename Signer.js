@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const Keystore = require('./Keystore.js');
+
+/**
+ * Signs node messages with a key held in this process.
+ * RemoteSigner has the same interface with the key in another process
+ * @class
+ */
+class Signer {
+    #keyPair;
+
+    /**
+     * Create signer of private key
+     * @param {string} privateKey hex
+     */
+    constructor(privateKey) {
+        if (!/^[0-9a-fA-F]{1,64}$/.test(privateKey || '')) throw new Error("Invalid private key");
+        this.#keyPair = ec.keyFromPrivate(privateKey, 'hex');
+        this.publicKey = this.#keyPair.getPublic('hex');
+    }
+
+    /**
+     * Signs SHA256 of text
+     * @param {string} text canonical JSON of message
+     * @returns {string} DER signature hex
+     */
+    sign(text) {
+        return this.#keyPair.sign(crypto.createHash('sha256').update(text).digest('hex')).toDER('hex');
+    }
+
+    /**
+     * Signer of encrypted keystore
+     * @param {string} file keystore file
+     * @param {string} passphraseFile file with the keystore passphrase
+     * @returns {Signer}
+     */
+    static fromKeystore(file, passphraseFile) {
+        return new this(Keystore.load(file, Keystore.readPassphrase(passphraseFile)));
+    }
+}
+
+module.exports = Signer;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const Wire = require('./Wire.js');
+
+// heights of signed votes kept to detect conflicts
+const keptHeights = 1000;
+
+/**
+ * Votes signed by the remote signer, persisted to a file.
+ * A second vote for another block in the same height and round is refused,
+ * also after the signer restarts
+ * @class
+ */
+class SignerState {
+    /**
+     * Loads state of file, empty if it does not exist
+     * @param {string} file
+     */
+    constructor(file) {
+        this.file = file;
+        // "height:round" -> hash of the signed block
+        this.votes = {};
+        // votes below this height are refused because their records were pruned
+        this.floor = 0;
+        if (fs.existsSync(file)) ({ votes: this.votes, floor: this.floor } = JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    /**
+     * Writes state before the signature is returned, so a restarted signer remembers it
+     */
+    save() {
+        fs.writeFileSync(this.file + '.tmp', JSON.stringify({ votes: this.votes, floor: this.floor }));
+        fs.renameSync(this.file + '.tmp', this.file);
+    }
+
+    /**
+     * Reason to refuse signing message, null if it can be signed.
+     * Votes are recorded: a second vote for another block in the same height and round is refused
+     * @param {string} publicKey
+     * @param {string} text canonical JSON of message
+     * @returns {string|null}
+     */
+    refusal(publicKey, text) {
+        const message = JSON.parse(text);
+        if (Wire.canonical(message) != text) return "message is not canonical JSON";
+        if (message.key != publicKey) return "message key is not the signer key";
+        if (message.sign !== undefined) return "message is already signed";
+        if (message.type != "VOTE") return null;
+
+        const { height, round, hash } = message.data || {};
+        if (!Number.isInteger(height) || !Number.isInteger(round) || typeof hash != 'string') return "invalid vote";
+        if (height < this.floor) return `vote at height ${height} below signer records`;
+        const slot = `${height}:${round}`;
+        if (this.votes[slot] !== undefined && this.votes[slot] != hash) return `conflicting vote at height ${height} round ${round}`;
+        if (this.votes[slot] === undefined) {
+            this.votes[slot] = hash;
+            const floor = Math.max(this.floor, height - keptHeights);
+            for (let key of Object.keys(this.votes)) {
+                if (parseInt(key) < floor) delete this.votes[key];
+            }
+            this.floor = floor;
+            this.save();
+        }
+        return null;
+    }
+}
+
+module.exports = SignerState;
@@ -0,0 +1,410 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const P2P = require('./P2P.js');
+const Genesis = require('./Genesis.js');
+const Transaction = require('./Transaction.js');
+const Logger = require('./Logger.js');
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+const genesisTime = 1700000000;
+
+/**
+ * Seeded pseudo random numbers (mulberry32)
+ * @param {number} seed
+ * @returns {Function} returns numbers in [0, 1)
+ */
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Virtual time. Timers run only when the simulation advances the clock,
+ * in order of their time and then of their creation
+ */
+class VirtualClock {
+    constructor(time) {
+        this.time = time;
+        this.timers = new Map();
+        this.nextTimer = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms, interval = 0) {
+        const id = this.nextTimer++;
+        this.timers.set(id, { id, at: this.time + Math.max(ms || 0, 0), callback, interval });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    setInterval(callback, ms) {
+        return this.setTimeout(callback, ms, Math.max(ms, 1));
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Runs timers due until time
+     * @param {number} time
+     */
+    runUntil(time) {
+        while (true) {
+            let next = null;
+            for (let timer of this.timers.values()) {
+                if (timer.at <= time && (!next || timer.at < next.at || (timer.at == next.at && timer.id < next.id))) next = timer;
+            }
+            if (!next) break;
+            this.time = next.at;
+            if (next.interval) next.at += next.interval;
+            else this.timers.delete(next.id);
+            next.callback();
+        }
+        this.time = time;
+    }
+}
+
+/**
+ * One end of a simulated connection, with the interface of a `ws` socket
+ */
+class SimSocket extends EventEmitter {
+    constructor(network, node) {
+        super();
+        this.network = network;
+        this.node = node;
+        this.readyState = CONNECTING;
+        this.remote = null;
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) return;
+        this.network.transmit(this, Buffer.isBuffer(data) ? Buffer.from(data) : data);
+    }
+
+    close() {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        this.network.clock.setTimeout(() => this.emit('close'), 0);
+        if (this.remote) this.remote.close();
+    }
+
+    terminate() {
+        this.close();
+    }
+}
+
+/**
+ * Connections of one simulated node, used as its P2P transport
+ */
+class SimTransport {
+    constructor(network, index) {
+        this.network = network;
+        this.index = index;
+    }
+
+    listen(port, onConnection) {
+        this.network.listeners.set(this.index, onConnection);
+    }
+
+    connect(address) {
+        return this.network.connect(this.index, address);
+    }
+
+    close() {
+        this.network.listeners.delete(this.index);
+    }
+}
+
+/**
+ * In-process network of P2P nodes in virtual time.
+ * Nodes have deterministic keys, and latency, drops, partitions and crashes
+ * come from the seeded random generator and the scenario, so runs can be repeated
+ * @class
+ */
+class Simulator {
+    /**
+     * Create new simulated network
+     * @param {Object} options
+     * @param {number} options.nodes number of nodes
+     * @param {number} options.validators number of nodes staked in genesis, all by default
+     * @param {number} options.seed seed of latencies and drops
+     * @param {Array<number>} options.latency minimum and maximum milliseconds of message delivery
+     * @param {number} options.drop probability of losing a message
+     * @param {Object} options.params genesis parameters
+     * @param {string} options.logLevel level of node logs, silent by default
+     */
+    constructor(options = {}) {
+        this.size = options.nodes || 4;
+        this.random = random(options.seed || 1);
+        this.latency = options.latency || [5, 50];
+        this.drop = options.drop || 0;
+        this.logLevel = options.logLevel || 'silent';
+        this.clock = new VirtualClock((genesisTime + 1) * 1000);
+        // node index -> inbound connection handler
+        this.listeners = new Map();
+        // link "from>to" -> time of the last delivery, messages of a link keep their order
+        this.links = new Map();
+        this.groups = null;
+        this.crashed = new Set();
+
+        this.keys = [...Array(this.size).keys()].map(index => crypto.createHash('sha256').update('simulator node ' + index).digest('hex'));
+        this.publicKeys = this.keys.map(key => ec.keyFromPrivate(key, 'hex').getPublic('hex'));
+        const validators = options.validators || this.size;
+        this.genesis = new Genesis({
+            chainId: 'simulator',
+            timestamp: genesisTime,
+            params: options.params || {},
+            allocations: Object.fromEntries(this.publicKeys.map(key => [key, '1000000000000'])),
+            validators: Object.fromEntries(this.publicKeys.slice(0, validators).map(key => [key, '2000000000']))
+        });
+        this.nonces = this.publicKeys.map(() => 0);
+        this.nodes = this.keys.map((key, index) => this.createNode(index));
+    }
+
+    /**
+     * Creates node with empty chain, it dials all nodes with a lower index
+     * @param {number} index
+     * @returns {P2P}
+     */
+    createNode(index) {
+        const seeds = [...Array(index).keys()].map(peer => this.address(peer));
+        return new P2P({ blocks: [], accounts: {} }, index, seeds, this.keys[index], {
+            genesis: this.genesis,
+            clock: this.clock,
+            transport: new SimTransport(this, index),
+            address: this.address(index),
+            logger: new Logger({ level: this.logLevel, clock: this.clock, fields: { node: index } })
+        });
+    }
+
+    /**
+     * @param {number} index
+     * @returns {string}
+     */
+    address(index) {
+        return `ws://node${index}`;
+    }
+
+    /**
+     * Starts nodes
+     * @param {Array<number>} indexes all nodes by default
+     */
+    start(indexes = [...this.nodes.keys()]) {
+        indexes.forEach(index => this.nodes[index].start());
+    }
+
+    /**
+     * Advances virtual time
+     * @param {number} ms
+     */
+    run(ms) {
+        this.clock.runUntil(this.clock.now() + ms);
+    }
+
+    /**
+     * Can nodes reach each other
+     * @param {number} from
+     * @param {number} to
+     * @returns {boolean}
+     */
+    reachable(from, to) {
+        if (this.crashed.has(from) || this.crashed.has(to)) return false;
+        return !this.groups || this.groups.some(group => group.includes(from) && group.includes(to));
+    }
+
+    /**
+     * Opens simulated connection of node to address
+     * @param {number} from
+     * @param {string} address
+     * @returns {SimSocket}
+     */
+    connect(from, address) {
+        const socket = new SimSocket(this, from);
+        const to = this.nodes.findIndex((node, index) => this.address(index) == address);
+        this.clock.setTimeout(() => {
+            const onConnection = this.listeners.get(to);
+            if (to < 0 || !onConnection || !this.reachable(from, to)) {
+                socket.emit('error', Object.assign(new Error("connection refused"), { code: 'ECONNREFUSED' }));
+                socket.close();
+                return;
+            }
+            const remote = new SimSocket(this, to);
+            socket.remote = remote;
+            remote.remote = socket;
+            socket.readyState = OPEN;
+            remote.readyState = OPEN;
+            onConnection(remote);
+            socket.emit('open');
+        }, this.delay());
+        return socket;
+    }
+
+    /**
+     * @returns {number} milliseconds of a delivery
+     */
+    delay() {
+        const [min, max] = this.latency;
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Delivers message to the other end of socket after latency, unless it is dropped
+     * @param {SimSocket} socket
+     * @param {Buffer|string} data
+     */
+    transmit(socket, data) {
+        const remote = socket.remote;
+        if (!this.reachable(socket.node, remote.node) || this.random() < this.drop) return;
+        const link = socket.node + '>' + remote.node;
+        const at = Math.max(this.clock.now() + this.delay(), this.links.get(link) || 0);
+        this.links.set(link, at);
+        this.clock.setTimeout(() => {
+            if (remote.readyState === OPEN) remote.emit('message', data, Buffer.isBuffer(data));
+        }, at - this.clock.now());
+    }
+
+    /**
+     * Splits network, connections between groups are closed and no new ones open
+     * @param {Array<Array<number>>} groups
+     */
+    partition(groups) {
+        this.groups = groups;
+        this.closeUnreachable();
+    }
+
+    /**
+     * Joins partitioned network
+     */
+    heal() {
+        this.groups = null;
+    }
+
+    /**
+     * Stops node, its chain is lost
+     * @param {number} index
+     */
+    crash(index) {
+        this.nodes[index].stop();
+        this.crashed.add(index);
+        this.closeUnreachable();
+    }
+
+    /**
+     * Starts crashed node again with empty chain, it synchronizes from peers.
+     * Given blocks are loaded as its stored chain, e.g. blocks of another simulation to create a fork
+     * @param {number} index
+     * @param {Array<Object>} blocks
+     */
+    restart(index, blocks = []) {
+        this.crashed.delete(index);
+        this.nodes[index] = this.createNode(index);
+        this.nodes[index].chain.blocks = [...blocks];
+        this.start([index]);
+    }
+
+    /**
+     * Closes connections between nodes that can no longer reach each other
+     */
+    closeUnreachable() {
+        for (let [index, node] of this.nodes.entries()) {
+            for (let socket of node.sockets) {
+                if (socket.remote && !this.reachable(index, socket.remote.node)) socket.close();
+            }
+        }
+    }
+
+    /**
+     * Transaction of sender with its next nonce, signed at the virtual time
+     * @param {number} from sender node
+     * @param {number|string} to recipient node, or stake, unstake, withdraw
+     * @param {bigint|number} amount
+     * @returns {Transaction}
+     */
+    sign(from, to, amount) {
+        const recipient = typeof to == 'number' ? this.publicKeys[to] : to;
+        const transaction = new Transaction(this.publicKeys[from], recipient, amount, '', this.nonces[from], this.genesis.chainId);
+        transaction.timestamp = Math.floor(this.clock.now() / 1000);
+        transaction.validUntil = transaction.timestamp + Transaction.defaultValidity;
+        transaction.sign(this.keys[from]);
+        return transaction;
+    }
+
+    /**
+     * Signs transaction of sender and submits it to a node
+     * @param {number} from sender node
+     * @param {number|string} to recipient node, or stake, unstake, withdraw
+     * @param {bigint|number} amount
+     * @param {number} via node receiving the transaction, the sender by default
+     * @returns {Array} added and reasons of rejection
+     */
+    transfer(from, to, amount, via = from) {
+        const transaction = this.sign(from, to, amount);
+        const [added, reasons] = this.nodes[via].sendTransaction(transaction);
+        if (added) this.nonces[from]++;
+        return [added, reasons];
+    }
+
+    /**
+     * Heights of nodes
+     * @returns {Array<number>}
+     */
+    heights() {
+        return this.nodes.map(node => node.chain.blocks.length);
+    }
+
+    /**
+     * Checks safety invariants of running nodes: nodes agree on every block they both have,
+     * nodes at the same height have identical merkle roots and accounts, no balance or stake is negative.
+     * Throws on the first violation
+     * @param {Array<number>} indexes nodes to check, all running nodes by default
+     */
+    check(indexes = [...this.nodes.keys()].filter(index => !this.crashed.has(index))) {
+        for (let index of indexes) {
+            const node = this.nodes[index];
+            if (node.halted) throw new Error(`node ${index} halted at block ${node.halted.height}`);
+            for (let [key, account] of Object.entries(node.chain.accounts)) {
+                if (account.balance < 0n || account.stake < 0n) throw new Error(`node ${index}: negative account ${key.slice(0, 8)}`);
+            }
+            for (let other of indexes.filter(item => item > index)) {
+                const peer = this.nodes[other];
+                const common = Math.min(node.chain.blocks.length, peer.chain.blocks.length);
+                for (let height = 0; height < common; height++) {
+                    if (node.blockHash(node.chain.blocks[height].header) != peer.blockHash(peer.chain.blocks[height].header)) {
+                        throw new Error(`nodes ${index} and ${other} differ at block ${height}`);
+                    }
+                }
+                if (node.chain.blocks.length != peer.chain.blocks.length) continue;
+                if (node.merkle() != peer.merkle()) throw new Error(`nodes ${index} and ${other} have different merkle roots`);
+                if (node.stateRoot(node.chain.accounts) != peer.stateRoot(peer.chain.accounts)) throw new Error(`nodes ${index} and ${other} have different accounts`);
+            }
+        }
+    }
+
+    /**
+     * Stops all nodes
+     */
+    stop() {
+        this.nodes.forEach((node, index) => {
+            if (!this.crashed.has(index)) node.stop();
+        });
+        this.clock.timers.clear();
+    }
+}
+
+module.exports = Simulator;
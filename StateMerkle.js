@@ -0,0 +1,64 @@
+const TransactionMerkle = require('./TransactionMerkle.js');
+
+/**
+ * Merkle tree of accounts state, sorted by account key.
+ * Every account is a leaf, so a client can check one account against the state root
+ * of a block header without the other accounts. The tree has the same shape and hashes
+ * as TransactionMerkle, which builds it: leaves are accounts sorted by key
+ * @class
+ */
+class StateMerkle {
+    /**
+     * Create tree of accounts state
+     * @param {Object} accounts
+     */
+    constructor(accounts) {
+        this.tree = new TransactionMerkle();
+        for (let key of Object.keys(accounts).sort()) {
+            this.tree.addHashedLeaf(key, TransactionMerkle.leafHash(StateMerkle.leaf(key, accounts[key])));
+        }
+    }
+
+    /**
+     * Encoding of account in its leaf, multisig accounts end with their threshold and keys
+     * @param {string} key
+     * @param {Object} account
+     * @returns {string}
+     */
+    static leaf(key, { balance, stake, nonce, unbonding, multisig }) {
+        const entry = [key, balance.toString(), stake.toString(), nonce, unbonding.map(entry => [entry.amount.toString(), entry.until])];
+        if (multisig) entry.push([multisig.threshold, multisig.keys]);
+        return JSON.stringify(entry);
+    }
+
+    /**
+     * Get state root
+     * @returns {string}
+     */
+    getRoot() {
+        return this.tree.getRoot();
+    }
+
+    /**
+     * Get inclusion proof of account: sibling hashes from leaf up to the root.
+     * Returns null if account does not exist
+     * @param {string} key
+     * @returns {Array<{hash: string, position: string}>|null}
+     */
+    getProof(key) {
+        return this.tree.getProof(key);
+    }
+
+    /**
+     * Verifies inclusion proof of account against state root
+     * @param {string} leaf encoded account, see leaf()
+     * @param {Array<{hash: string, position: string}>} proof
+     * @param {string} root
+     * @returns {boolean}
+     */
+    static verifyProof(leaf, proof, root) {
+        return TransactionMerkle.verifyPath(TransactionMerkle.leafHash(leaf), proof, root);
+    }
+}
+
+module.exports = StateMerkle;
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('./Logger.js');
+
+/**
+ * SHA256 Hash function
+ * @param {string} data
+ * @returns {string}
+ */
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest().toString('hex');
+}
+
+/**
+ * JSON.stringify with bigint values written as "<digits>n" strings
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+    return JSON.stringify(value, (key, item) => typeof item == 'bigint' ? item.toString() + 'n' : item);
+}
+
+/**
+ * JSON.parse restoring bigint values written by stringify
+ * @param {string} text
+ * @returns {*}
+ */
+function parse(text) {
+    return JSON.parse(text, (key, item) => typeof item == 'string' && /^-?[0-9]+n$/.test(item) ? BigInt(item.slice(0, -1)) : item);
+}
+
+const SNAPSHOT_FORMAT = 4;
+
+/**
+ * Chain storage: append-only block log and account state snapshots
+ * @class
+ */
+class Storage {
+    /**
+     * Create new storage in data directory
+     * @param {string} dir
+     * @param {number} snapshotInterval write accounts snapshot every N blocks
+     * @param {Logger} logger
+     */
+    constructor(dir, snapshotInterval = 100, logger = new Logger()) {
+        this.dir = dir;
+        this.snapshotInterval = snapshotInterval;
+        this.logger = logger;
+        this.logPath = path.join(dir, 'blocks.log');
+        this.snapshotPath = path.join(dir, 'snapshot.json');
+        this.peersPath = path.join(dir, 'peers.json');
+        this.forksPath = path.join(dir, 'forks.json');
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    /**
+     * Loads block log and latest snapshot.
+     * A partially written last line (crash during append) is cut from the log.
+     * Throws if the directory holds only a transaction log of the one-transaction-per-entry format:
+     * its entries have no block votes, so they can't be converted to blocks
+     * @returns {{blocks: Array<Object>, snapshot: Object|null}}
+     */
+    load() {
+        const blocks = [];
+        const transactionLog = path.join(this.dir, 'transactions.log');
+        if (fs.existsSync(transactionLog) && !fs.existsSync(this.logPath)) {
+            throw new Error(`${transactionLog} is a chain of the one-transaction-per-entry format, which can't be converted to blocks. ` +
+                `Check it against the root of older nodes with chain.js legacy, then move it out of ${this.dir} to synchronize the chain from peers, ` +
+                `or import a chain file with chain.js import`);
+        }
+        if (fs.existsSync(this.logPath)) {
+            const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+            let size = 0;
+            for (let line of lines) {
+                if (!line) break;
+                try {
+                    blocks.push(JSON.parse(line));
+                } catch (err) {
+                    this.logger.warn("block log corrupted, truncating", { height: blocks.length });
+                    fs.truncateSync(this.logPath, size);
+                    break;
+                }
+                size += Buffer.byteLength(line) + 1;
+            }
+        }
+        return { blocks, snapshot: this.loadSnapshot(blocks.length) };
+    }
+
+    /**
+     * Blocks of the log without repairing it, so it can be read while a node appends to it:
+     * reading stops at a partially written last line
+     * @returns {Array<Object>}
+     */
+    readBlocks() {
+        const blocks = [];
+        if (!fs.existsSync(this.logPath)) return blocks;
+        for (let line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+            if (!line) break;
+            try {
+                blocks.push(JSON.parse(line));
+            } catch (err) {
+                break;
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Loads accounts snapshot, returns null if it is missing or corrupt
+     * @param {number} height number of blocks in log
+     * @returns {Object|null}
+     */
+    loadSnapshot(height) {
+        if (!fs.existsSync(this.snapshotPath)) return null;
+        try {
+            const { checksum, ...snapshot } = parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            if (checksum != hash(stringify(snapshot))) throw new Error("checksum mismatch");
+            if (snapshot.format != SNAPSHOT_FORMAT) throw new Error("outdated format");
+            if (snapshot.height > height) throw new Error("snapshot is ahead of block log");
+            return snapshot;
+        } catch (err) {
+            this.logger.warn("snapshot corrupted", { error: err });
+            return null;
+        }
+    }
+
+    /**
+     * Appends accepted block to log
+     * @param {Object} block
+     */
+    append(block) {
+        fs.appendFileSync(this.logPath, JSON.stringify(block) + '\n');
+    }
+
+    /**
+     * Replaces whole block log
+     * @param {Array<Object>} blocks
+     */
+    replace(blocks) {
+        this.write(this.logPath, blocks.map(item => JSON.stringify(item) + '\n').join(''));
+        if (fs.existsSync(this.snapshotPath)) fs.unlinkSync(this.snapshotPath);
+    }
+
+    /**
+     * Is snapshot due at this height
+     * @param {number} height
+     * @returns {boolean}
+     */
+    snapshotDue(height) {
+        return height > 0 && height % this.snapshotInterval == 0;
+    }
+
+    /**
+     * Saves accounts state snapshot
+     * @param {number} height number of blocks applied to the state
+     * @param {Object} accounts
+     * @param {Object} merkle serialized transaction merkle tree
+     */
+    saveSnapshot(height, accounts, merkle) {
+        const snapshot = { format: SNAPSHOT_FORMAT, height, accounts, merkle };
+        this.write(this.snapshotPath, stringify({ ...snapshot, checksum: hash(stringify(snapshot)) }));
+    }
+
+    /**
+     * Loads known peer table, empty if it is missing or corrupt
+     * @returns {Array<Object>}
+     */
+    loadPeers() {
+        if (!fs.existsSync(this.peersPath)) return [];
+        try {
+            const peers = JSON.parse(fs.readFileSync(this.peersPath, 'utf8'));
+            return Array.isArray(peers) ? peers : [];
+        } catch (err) {
+            this.logger.warn("peer table corrupted", { error: err });
+            return [];
+        }
+    }
+
+    /**
+     * Saves known peer table
+     * @param {Array<Object>} peers
+     */
+    savePeers(peers) {
+        this.write(this.peersPath, JSON.stringify(peers));
+    }
+
+    /**
+     * Loads recent fork events, empty if they are missing or corrupt
+     * @returns {Array<Object>}
+     */
+    loadForks() {
+        if (!fs.existsSync(this.forksPath)) return [];
+        try {
+            const forks = JSON.parse(fs.readFileSync(this.forksPath, 'utf8'));
+            return Array.isArray(forks) ? forks : [];
+        } catch (err) {
+            this.logger.warn("fork events corrupted", { error: err });
+            return [];
+        }
+    }
+
+    /**
+     * Saves recent fork events
+     * @param {Array<Object>} forks
+     */
+    saveForks(forks) {
+        this.write(this.forksPath, JSON.stringify(forks));
+    }
+
+    /**
+     * Atomic file write
+     * @param {string} file
+     * @param {string} data
+     */
+    write(file, data) {
+        fs.writeFileSync(file + '.tmp', data);
+        fs.renameSync(file + '.tmp', file);
+    }
+}
+
+module.exports = Storage;
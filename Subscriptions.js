@@ -0,0 +1,220 @@
+const WebSocket = require('ws');
+const Transaction = require('./Transaction.js');
+
+const CHANNELS = ['transactions', 'address', 'rejections', 'validators'];
+// blocks a subscription can replay, older history is read with GET /blocks
+const maxReplay = 1000;
+// bytes queued to a client before it is disconnected as too slow
+const maxBuffered = 4 * 1024 * 1024;
+
+/**
+ * Event subscriptions of wallets and indexers over WebSocket, on the HTTP API port.
+ * Separate from the validator gossip: clients do not sign or relay anything.
+ * A client sends JSON requests with an id and gets the answer with the same id:
+ * subscribe to a channel, optionally replaying it from a height, or unsubscribe.
+ * Events carry the subscription id, and block events the height to resume from
+ * @class
+ */
+class Subscriptions {
+    /**
+     * Create subscriptions of node events
+     * @param {P2P} node
+     * @param {Object} options
+     * @param {number} options.maxSubscriptions subscriptions of one client
+     */
+    constructor(node, options = {}) {
+        this.node = node;
+        this.maxSubscriptions = options.maxSubscriptions || 20;
+        this.clients = new Set();
+        this.nextId = 1;
+        node.on('block', (block, height) => {
+            // called while the block is appended, a failure must not reach consensus
+            try {
+                this.publish(this.blockEvents(block, height));
+            } catch (err) {
+                node.logger.warn("subscription events failed", { height, error: err });
+            }
+        });
+        node.on('rejected', (transaction, reasons, source) => this.publish([{
+            event: 'rejection',
+            hash: transaction.txid(),
+            from: transaction.from,
+            to: transaction.to,
+            nonce: transaction.nonce,
+            source,
+            reasons
+        }]));
+    }
+
+    /**
+     * Accepts client connections on path /ws of HTTP server
+     * @param {http.Server} server
+     */
+    attach(server) {
+        this.server = new WebSocket.Server({ server, path: '/ws' });
+        this.server.on('connection', (socket) => this.connect(socket));
+    }
+
+    /**
+     * Serves client connection
+     * @param {WebSocket} socket
+     */
+    connect(socket) {
+        const client = { socket, subscriptions: new Map() };
+        this.clients.add(client);
+        socket.on('message', (data) => this.handle(client, data.toString()));
+        socket.on('close', () => this.clients.delete(client));
+        socket.on('error', () => {});
+    }
+
+    /**
+     * Answers client request
+     * @param {Object} client
+     * @param {string} data JSON request
+     */
+    handle(client, data) {
+        let request;
+        try {
+            request = JSON.parse(data);
+        } catch (err) {
+            return this.write(client, { error: "Invalid JSON" });
+        }
+        const { id, method } = request || {};
+        try {
+            if (method == 'subscribe') return this.subscribe(client, request);
+            if (method == 'unsubscribe') {
+                if (!client.subscriptions.delete(request.subscription)) throw new Error("Unknown subscription");
+                return this.write(client, { id, result: true });
+            }
+            throw new Error("Unknown method");
+        } catch (err) {
+            this.write(client, { id, error: err.message });
+        }
+    }
+
+    /**
+     * Adds subscription of client and replays its block events from fromHeight
+     * @param {Object} client
+     * @param {Object} request
+     * @param {string} request.channel transactions, address, rejections or validators
+     * @param {string} request.address account of the address channel
+     * @param {number} request.fromHeight first block to replay, live events only if missing
+     */
+    subscribe(client, { id, channel, address, fromHeight }) {
+        if (!CHANNELS.includes(channel)) throw new Error(`Unknown channel, use one of ${CHANNELS.join(', ')}`);
+        if (channel == 'address' && (typeof address != 'string' || address.length == 0)) throw new Error("Address required");
+        if (client.subscriptions.size >= this.maxSubscriptions) throw new Error("Too many subscriptions");
+        const height = this.node.chain.blocks.length;
+        if (fromHeight !== undefined) {
+            if (!Number.isInteger(fromHeight) || fromHeight < 0) throw new Error("Invalid fromHeight");
+            if (height - fromHeight > maxReplay) throw new Error(`fromHeight is more than ${maxReplay} blocks back, read older blocks with GET /blocks`);
+            if (channel == 'rejections') throw new Error("Rejections are not kept, they cannot be replayed");
+        }
+
+        const subscription = String(this.nextId++);
+        const filter = { channel, address };
+        client.subscriptions.set(subscription, filter);
+        this.write(client, { id, result: { subscription, height } });
+        // events of the replayed blocks are sent before any live event
+        for (let replayed = fromHeight ?? height; replayed < height; replayed++) {
+            for (let event of this.blockEvents(this.node.chain.blocks[replayed], replayed)) {
+                if (this.matches(filter, event)) this.write(client, { subscription, ...event });
+            }
+        }
+    }
+
+    /**
+     * Events of block at height: its transactions, and the validator set of the next block if it changed
+     * @param {Object} block
+     * @param {number} height
+     * @returns {Array<Object>}
+     */
+    blockEvents(block, height) {
+        const hash = this.node.blockHash(block.header);
+        const events = block.transactions.map((data, index) => ({
+            event: 'transaction',
+            height,
+            block: hash,
+            index,
+            hash: Transaction.fromObject(data).txid(),
+            transaction: data
+        }));
+
+        // the set that votes on the next block is recorded in that block, or is the current set at the tip
+        const next = this.node.chain.blocks[height + 1];
+        const previous = this.node.recordWeights(block.validators);
+        const validators = next ? this.node.recordWeights(next.validators) : this.node.validatorWeights();
+        const changed = [...new Set([...Object.keys(previous), ...Object.keys(validators)])]
+            .filter(key => previous[key] !== validators[key]);
+        if (changed.length > 0) {
+            events.push({
+                event: 'validators',
+                height: height + 1,
+                validators: Object.fromEntries(Object.entries(validators).map(([key, stake]) => [key, stake.toString()])),
+                changed
+            });
+        }
+        return events;
+    }
+
+    /**
+     * Does event belong to subscription
+     * @param {Object} filter channel and address of subscription
+     * @param {Object} event
+     * @returns {boolean}
+     */
+    matches({ channel, address }, event) {
+        switch (channel) {
+            case 'transactions':
+                return event.event == 'transaction';
+            case 'rejections':
+                return event.event == 'rejection';
+            case 'validators':
+                return event.event == 'validators';
+            case 'address':
+                if (event.event == 'validators') return event.changed.includes(address);
+                const { from, to } = event.transaction || event;
+                return from == address || to == address;
+        }
+        return false;
+    }
+
+    /**
+     * Sends events to matching subscriptions
+     * @param {Array<Object>} events
+     */
+    publish(events) {
+        for (let client of this.clients) {
+            for (let [subscription, filter] of client.subscriptions) {
+                for (let event of events) {
+                    if (this.matches(filter, event)) this.write(client, { subscription, ...event });
+                }
+            }
+        }
+    }
+
+    /**
+     * Sends message to client, a client that does not keep up is disconnected
+     * @param {Object} client
+     * @param {Object} message
+     */
+    write(client, message) {
+        const { socket } = client;
+        if (socket.readyState !== WebSocket.OPEN) return;
+        if (socket.bufferedAmount > maxBuffered) {
+            this.clients.delete(client);
+            return socket.terminate();
+        }
+        socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Closes client connections
+     */
+    close() {
+        this.clients.forEach(({ socket }) => socket.terminate());
+        if (this.server) this.server.close();
+    }
+}
+
+module.exports = Subscriptions;
@@ -1,6 +1,136 @@
 const EC = require('elliptic').ec;
 const ec = new EC('secp256k1');
 const crypto = require('crypto')
+const Multisig = require('./Multisig.js');
+
+// version 1 is the original JSON transaction without chain id, version 2 has no expiry.
+// Both can still be parsed, so nodes reject them with a reason instead of a parse error
+const LEGACY_VERSION = 1;
+const VERSION = 3;
+
+const FIELDS = {
+    [LEGACY_VERSION]: ['from', 'to', 'amount', 'timestamp', 'nonce', 'body', 'signature'],
+    2: ['chainId', 'from', 'to', 'amount', 'nonce', 'timestamp', 'body', 'signature'],
+    [VERSION]: ['chainId', 'from', 'to', 'amount', 'nonce', 'timestamp', 'validUntil', 'body', 'signature']
+};
+const REQUIRED = {
+    2: ['version', 'chainId', 'from', 'to', 'amount', 'nonce', 'timestamp'],
+    [VERSION]: ['version', 'chainId', 'from', 'to', 'amount', 'nonce', 'timestamp', 'validUntil']
+};
+// seconds a new transaction is valid if no validUntil is given
+const defaultValidity = 600;
+
+const maxAmount = 2n ** 128n;
+const maxBodySize = 1024;
+
+const UNDEFINED = 0;
+const HEX = 1;
+const STRING = 2;
+const UINT = 3;
+const FLOAT = 4;
+
+/**
+ * LEB128 varint
+ * @param {number|bigint} value non-negative integer
+ * @returns {Buffer}
+ */
+function encodeVarint(value) {
+    value = BigInt(value);
+    const bytes = [];
+    do {
+        let byte = Number(value % 128n);
+        value = value / 128n;
+        if (value > 0n) byte |= 128;
+        bytes.push(byte);
+    } while (value > 0n);
+    return Buffer.from(bytes);
+}
+
+/**
+ * @param {Buffer} data
+ * @param {number} offset
+ * @returns {[bigint, number]} value and offset after it
+ */
+function decodeVarint(data, offset) {
+    let value = 0n;
+    let shift = 0n;
+    while (true) {
+        if (offset >= data.length || shift > 133n) throw new Error("Invalid varint");
+        const byte = data[offset++];
+        value += BigInt(byte & 127) << shift;
+        if (!(byte & 128)) {
+            // canonical encoding has no trailing zero bytes
+            if (byte == 0 && shift > 0n) throw new Error("Invalid varint");
+            return [value, offset];
+        }
+        shift += 7n;
+    }
+}
+
+/**
+ * Encodes one transaction field with type tag
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function encodeValue(value) {
+    if (value === undefined) return Buffer.from([UNDEFINED]);
+    if (typeof value == 'string') {
+        const hex = /^([0-9a-f]{2})*$/.test(value);
+        const bytes = Buffer.from(value, hex ? 'hex' : 'utf8');
+        return Buffer.concat([Buffer.from([hex ? HEX : STRING]), encodeVarint(bytes.length), bytes]);
+    }
+    if (typeof value == 'bigint' && value >= 0n) {
+        return Buffer.concat([Buffer.from([UINT]), encodeVarint(value)]);
+    }
+    if (typeof value == 'number' && Number.isSafeInteger(value) && value >= 0) {
+        return Buffer.concat([Buffer.from([UINT]), encodeVarint(value)]);
+    }
+    if (typeof value == 'number') {
+        const bytes = Buffer.alloc(9);
+        bytes[0] = FLOAT;
+        bytes.writeDoubleBE(value, 1);
+        return bytes;
+    }
+    throw new Error("Unsupported transaction field type");
+}
+
+/**
+ * @param {Buffer} data
+ * @param {number} offset
+ * @returns {[*, number]} value and offset after it, integers are bigint
+ */
+function decodeValue(data, offset) {
+    const tag = data[offset++];
+    if (tag === UNDEFINED) return [undefined, offset];
+    if (tag === HEX || tag === STRING) {
+        let [length, start] = decodeVarint(data, offset);
+        length = Number(length);
+        if (start + length > data.length) throw new Error("Invalid transaction encoding");
+        return [data.subarray(start, start + length).toString(tag === HEX ? 'hex' : 'utf8'), start + length];
+    }
+    if (tag === UINT) return decodeVarint(data, offset);
+    if (tag === FLOAT) {
+        if (offset + 8 > data.length) throw new Error("Invalid transaction encoding");
+        return [data.readDoubleBE(offset), offset + 8];
+    }
+    throw new Error("Invalid transaction encoding");
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHex(value) {
+    return typeof value == 'string' && /^([0-9a-f]{2})+$/.test(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isUint(value) {
+    return Number.isSafeInteger(value) && value >= 0;
+}
 
 /**
  * Transaction class
@@ -9,19 +139,24 @@ const crypto = require('crypto')
 class Transaction {
     /**
      * Create a new transaction
-     * @param {string} from 
-     * @param {string} to 
-     * @param {number} amount 
-     * @param {string} body 
+     * @param {string} from
+     * @param {string} to
+     * @param {bigint|number|string} amount
+     * @param {string} body
      * @param {number} nonce
+     * @param {string} chainId network the transaction is valid in
+     * @param {number} validUntil last second the transaction can be included in a block, 10 minutes from now by default
      */
-    constructor(from, to, amount, body, nonce) {
+    constructor(from, to, amount, body, nonce, chainId, validUntil) {
+        this.version = VERSION;
+        this.chainId = chainId;
         this.from = from;
         this.to = to;
-        this.amount = amount;
+        this.amount = BigInt(amount);
         this.body = body;
         this.nonce = nonce;
         this.timestamp = Math.floor(Date.now()/1000);
+        this.validUntil = validUntil !== undefined ? validUntil : this.timestamp + defaultValidity;
     }
 
     /**
@@ -30,7 +165,8 @@ class Transaction {
      * @returns {string}
      */
     serialize(nosign=false) {
-        if (!nosign && this.signature) {
+        const signature = !nosign && this.signature ? this.signature : undefined;
+        if (this.version == LEGACY_VERSION) {
             return JSON.stringify({
                 from: this.from,
                 to: this.to,
@@ -38,49 +174,149 @@ class Transaction {
                 timestamp: this.timestamp,
                 nonce: this.nonce,
                 body: this.body,
-                signature: this.signature
+                signature
             });
         }
         return JSON.stringify({
+            version: this.version,
+            chainId: this.chainId,
             from: this.from,
             to: this.to,
-            amount: this.amount,
-            timestamp: this.timestamp,
+            amount: this.amount.toString(),
             nonce: this.nonce,
-            body: this.body
+            timestamp: this.timestamp,
+            validUntil: this.version == VERSION ? this.validUntil : undefined,
+            body: this.body,
+            signature
         });
     }
-    
+
     /**
      * Deserializes the transaction from JSON
-     * @param {string} data 
-     * @returns {Transaction} 
+     * @param {string} data
+     * @returns {Transaction}
      */
     static deserialize(data) {
-        const json = JSON.parse(data);
-        const transaction = new this(json.from, json.to, json.amount, json.body, json.nonce);
-        transaction.signature = json.signature;
+        return this.fromObject(JSON.parse(data));
+    }
+
+    /**
+     * Creates transaction from parsed JSON.
+     * Transactions without version are legacy, others must match the schema exactly
+     * @param {Object} json
+     * @returns {Transaction}
+     */
+    static fromObject(json) {
+        if (json.version === undefined) {
+            const transaction = new this(json.from, json.to, 0, json.body, json.nonce);
+            transaction.version = LEGACY_VERSION;
+            transaction.chainId = undefined;
+            transaction.validUntil = undefined;
+            transaction.amount = json.amount;
+            transaction.signature = json.signature;
+            transaction.timestamp = json.timestamp;
+            return transaction;
+        }
+
+        if (!REQUIRED[json.version]) throw new Error(`Unsupported transaction version ${json.version}`);
+        for (let field of Object.keys(json)) {
+            if (field != 'version' && !FIELDS[json.version].includes(field)) throw new Error(`Unknown transaction field ${field}`);
+        }
+        for (let field of REQUIRED[json.version]) {
+            if (json[field] === undefined) throw new Error(`Missing transaction field ${field}`);
+        }
+        if (typeof json.chainId != 'string' || json.chainId.length == 0 || json.chainId.length > 64) throw new Error("Invalid transaction chainId");
+        if (!isHex(json.from) || json.from.length > 130) throw new Error("Invalid transaction from");
+        if (typeof json.to != 'string' || json.to.length == 0 || json.to.length > 130) throw new Error("Invalid transaction to");
+        if (!(typeof json.amount == 'bigint' || (typeof json.amount == 'string' && /^(0|[1-9][0-9]*)$/.test(json.amount)))) throw new Error("Invalid transaction amount");
+        if (BigInt(json.amount) >= maxAmount || BigInt(json.amount) < 0n) throw new Error("Invalid transaction amount");
+        if (!isUint(json.nonce)) throw new Error("Invalid transaction nonce");
+        if (!isUint(json.timestamp)) throw new Error("Invalid transaction timestamp");
+        if (json.validUntil !== undefined && !isUint(json.validUntil)) throw new Error("Invalid transaction validUntil");
+        if (json.body !== undefined && (typeof json.body != 'string' || Buffer.byteLength(json.body) > maxBodySize)) throw new Error("Invalid transaction body");
+        // multisig accounts sign with a key index and a DER signature of up to 72 bytes per key
+        const maxSignature = Multisig.isAddress(json.from) ? Multisig.maxKeys * 73 * 2 : 144;
+        if (json.signature !== undefined && (!isHex(json.signature) || json.signature.length > maxSignature)) throw new Error("Invalid transaction signature");
+
+        const transaction = new this(json.from, json.to, json.amount, json.body, json.nonce, json.chainId, json.validUntil);
+        transaction.version = json.version;
         transaction.timestamp = json.timestamp;
-        return transaction
+        transaction.validUntil = json.validUntil;
+        transaction.signature = json.signature;
+        return transaction;
     }
 
     /**
-     * Signs the transaction
-     * @param {string} privateKey 
+     * Canonical binary encoding of the transaction: version byte and typed fields in fixed order.
+     * Legacy transactions are encoded so that decode(encode()) serializes to the same JSON
+     * @param {boolean} nosign
+     * @returns {Buffer}
      */
-    sign(privateKey) {
+    encode(nosign=false) {
+        const parts = [Buffer.from([this.version])];
+        for (let field of FIELDS[this.version]) {
+            parts.push(encodeValue(field == 'signature' && nosign ? undefined : this[field]));
+        }
+        return Buffer.concat(parts);
+    }
+
+    /**
+     * Decodes transaction from canonical binary encoding
+     * @param {Buffer} data
+     * @returns {Transaction}
+     */
+    static decode(data) {
+        const version = data[0];
+        if (!FIELDS[version]) throw new Error("Unknown transaction encoding");
+        const json = version == LEGACY_VERSION ? {} : { version };
+        let offset = 1;
+        for (let field of FIELDS[version]) {
+            let [value, next] = decodeValue(data, offset);
+            // legacy JSON has only numbers, current schema keeps integer types per field
+            if (typeof value == 'bigint' && (version == LEGACY_VERSION || field != 'amount')) {
+                if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error("Invalid transaction encoding");
+                value = Number(value);
+            }
+            if (value !== undefined) json[field] = value;
+            offset = next;
+        }
+        if (offset != data.length) throw new Error("Invalid transaction encoding");
+        return version == LEGACY_VERSION ? this.deserialize(JSON.stringify(json)) : this.fromObject(json);
+    }
+
+    /**
+     * Signs the transaction. A transaction from a multisig account is signed by each
+     * of its keys in turn, every signature is added to the ones already present
+     * @param {string} privateKey
+     * @param {Object} multisig definition of the sender multisig account, see Multisig
+     */
+    sign(privateKey, multisig) {
         const keyPair = ec.keyFromPrivate(privateKey, 'hex');
-        if (keyPair.getPublic('hex') != this.from) throw new Error("Invalid private key");
         const hash = this.hash();
-        this.signature = keyPair.sign(hash).toDER('hex');
+        if (!multisig) {
+            if (keyPair.getPublic('hex') != this.from) throw new Error("Invalid private key");
+            this.signature = keyPair.sign(hash).toDER('hex');
+            return;
+        }
+        if (Multisig.address(multisig) != this.from) throw new Error("Transaction is not from this multisig account");
+        const index = Multisig.normalize(multisig).keys.indexOf(keyPair.getPublic(true, 'hex'));
+        if (index < 0) throw new Error("Key is not a key of the multisig account");
+        const signatures = Multisig.unpack(this.signature);
+        signatures.set(index, keyPair.sign(hash).toDER('hex'));
+        this.signature = Multisig.pack(signatures);
     }
 
-    /** 
-     * Verifies the transaction by signature
+    /**
+     * Verifies the transaction by signature, or by the threshold of signatures of a multisig sender
+     * @param {Object} multisig definition of the sender multisig account, see Multisig
      * @returns {boolean}
     */
-    verify() {
+    verify(multisig) {
         if (!this.signature || !this.from) return false;
+        if (Multisig.isAddress(this.from)) {
+            if (!multisig || Multisig.address(multisig) != this.from) return false;
+            return Multisig.countValid(Multisig.normalize(multisig), this.hash(), this.signature) >= multisig.threshold;
+        }
         const keyPair = ec.keyFromPublic(this.from, 'hex');
         if (keyPair.getPublic('hex') != this.from) throw new Error("Invalid private key")
         const hash = this.hash();
@@ -88,13 +324,27 @@ class Transaction {
     }
 
     /**
-     * SHA256 Hash of transaction
+     * SHA256 Hash of transaction, the signed hash by default
      * @param {boolean} nosign
      * @returns {Buffer}
      */
     hash(nosign=true) {
-        return crypto.createHash('sha256').update(this.serialize(nosign)).digest();
+        const data = this.version == LEGACY_VERSION ? this.serialize(nosign) : this.encode(nosign);
+        return crypto.createHash('sha256').update(data).digest();
+    }
+
+    /**
+     * Transaction id: hash of canonical encoding without signature.
+     * Legacy transactions keep hash of their signed JSON, as it is in existing merkle trees
+     * @returns {string}
+     */
+    txid() {
+        return this.hash(this.version != LEGACY_VERSION).toString('hex');
     }
 }
 
-module.exports = Transaction
\ No newline at end of file
+Transaction.VERSION = VERSION;
+Transaction.LEGACY_VERSION = LEGACY_VERSION;
+Transaction.defaultValidity = defaultValidity;
+
+module.exports = Transaction
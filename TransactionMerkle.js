@@ -1,70 +1,261 @@
 const crypto = require('crypto');
 const Transaction = require('./Transaction.js');
 
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
 function hash(data) {
     return crypto.createHash('sha256').update(data.toString()).digest('hex');
 }
 
+/**
+ * Hash of leaf, domain separated from inner nodes
+ * @param {Buffer|string} data leaf bytes, strings are hashed as UTF-8
+ * @returns {string}
+ */
+function leafHash(data) {
+    return crypto.createHash('sha256').update(LEAF_PREFIX).update(data).digest('hex');
+}
+
+/**
+ * Hash of inner node
+ * @param {string} left
+ * @param {string} right
+ * @returns {string}
+ */
+function nodeHash(left, right) {
+    return crypto.createHash('sha256').update(NODE_PREFIX).update(Buffer.from(left, 'hex')).update(Buffer.from(right, 'hex')).digest('hex');
+}
+
+/**
+ * Legacy hash of inner node (hex strings concatenation)
+ * @param {string} left
+ * @param {string} right
+ * @returns {string}
+ */
+function legacyNodeHash(left, right) {
+    return hash(left + right);
+}
+
+/**
+ * Transaction merkle tree.
+ * Root is defined for any leaf count as in RFC 6962: the tree is split at the
+ * largest power of two smaller than the leaf count. Leaves are hashed with
+ * 0x00 prefix and inner nodes with 0x01 prefix.
+ * In legacy mode the tree reproduces root of older nodes, which covers only
+ * the largest power of two leaves. Nodes always use domain separated roots,
+ * legacy mode only verifies roots and proofs of the transaction logs of older nodes.
+ * @class
+ */
 class TransactionMerkle {
     /**
      * Create new Transaction merkle tree
+     * @param {Object} options
+     * @param {boolean} options.legacy compute roots compatible with chains created before domain separation
      */
-    constructor() {
+    constructor(options = {}) {
+        this.legacy = !!options.legacy;
         this.leaves = [];
+        // levels[0] are leaf hashes, levels[i] are roots of complete subtrees of 2^i leaves
         this.levels = [[]];
     }
 
     /**
-     * Add transaction to merkle tree
-     * @param {Transaction} transaction 
+     * Add transaction to merkle tree, leaf is transaction id
+     * @param {Transaction|string} transaction
      */
     add(transaction) {
         try {
             if (!transaction.hash)
                 transaction = Transaction.deserialize(transaction);
-            const leafHash = transaction.hash(false).toString('hex');
-            this.leaves.push(leafHash);
-            let level = 0;
-            let nodes = this.levels[level];
-            nodes.push(leafHash);
-
-            while (nodes.length % 2 === 0 && nodes.length > 0) {
-                level++;
-                if (!this.levels[level]) {
-                    this.levels[level] = [];
-                }
-
-                this.levels[level - 1] = this.levels[level - 1].slice(0, -2);
-                this.levels[level].push(hash(nodes[nodes.length - 2] + nodes[nodes.length - 1]));
-
-                nodes = this.levels[level];
-            }
+            this.addLeaf(transaction.txid());
         } catch(err) {
             console.error(err)
         }
     }
 
+    /**
+     * Add leaf to merkle tree
+     * @param {string} leaf transaction id (hex)
+     */
+    addLeaf(leaf) {
+        this.addHashedLeaf(leaf, this.legacy ? leaf : leafHash(Buffer.from(leaf, 'hex')));
+    }
+
+    /**
+     * Add leaf whose hash was computed by the caller, e.g. with TransactionMerkle.leafHash of other data than a transaction id
+     * @param {string} leaf looked up by getProof
+     * @param {string} hash leaf hash (hex)
+     */
+    addHashedLeaf(leaf, hash) {
+        this.leaves.push(leaf);
+        this.levels[0].push(hash);
+
+        let level = 0;
+        while (this.levels[level].length % 2 === 0) {
+            const nodes = this.levels[level];
+            if (!this.levels[level + 1]) {
+                this.levels[level + 1] = [];
+            }
+            this.levels[level + 1].push(this.nodeHash(nodes[nodes.length - 2], nodes[nodes.length - 1]));
+            level++;
+        }
+    }
+
+    /**
+     * Hash of inner node
+     * @param {string} left
+     * @param {string} right
+     * @returns {string}
+     */
+    nodeHash(left, right) {
+        return this.legacy ? legacyNodeHash(left, right) : nodeHash(left, right);
+    }
+
+    /**
+     * Roots of complete subtrees, from the largest (leftmost) to the smallest
+     * @param {number} size number of leaves covered
+     * @returns {Array<{level: number, hash: string}>}
+     */
+    peaks(size = this.leaves.length) {
+        const peaks = [];
+        let start = 0;
+        for (let level = this.levels.length - 1; level >= 0; level--) {
+            if (size & (2 ** level)) {
+                peaks.push({ level, hash: this.levels[level][start / 2 ** level] });
+                start += 2 ** level;
+            }
+        }
+        return peaks;
+    }
+
+    /**
+     * Root of subtrees
+     * @param {Array<{level: number, hash: string}>} peaks
+     * @returns {string}
+     */
+    bag(peaks) {
+        if (peaks.length === 0) {
+            return this.legacy ? hash('0') : crypto.createHash('sha256').digest('hex');
+        }
+        if (this.legacy) return peaks[0].hash;
+
+        let root = peaks[peaks.length - 1].hash;
+        for (let i = peaks.length - 2; i >= 0; i--) {
+            root = nodeHash(peaks[i].hash, root);
+        }
+        return root;
+    }
+
     /**
      * Get merkle root
      * @returns {string}
      */
     getRoot() {
-        if (this.leaves.length === 0) {
-            return hash('0');
+        return this.bag(this.peaks());
+    }
+
+    /**
+     * Get merkle root of the first leaves
+     * @param {number} size
+     * @returns {string|null}
+     */
+    rootAt(size) {
+        if (size < 0 || size > this.leaves.length) return null;
+        return this.bag(this.peaks(size));
+    }
+
+    /**
+     * Get merkle root the tree would have after adding leaves, without adding them
+     * @param {Array<string>} leaves transaction ids (hex)
+     * @returns {string}
+     */
+    rootAfter(leaves) {
+        const peaks = this.peaks();
+        for (let leaf of leaves) {
+            peaks.push({ level: 0, hash: this.legacy ? leaf : leafHash(Buffer.from(leaf, 'hex')) });
+            while (peaks.length > 1 && peaks[peaks.length - 1].level === peaks[peaks.length - 2].level) {
+                const right = peaks.pop();
+                const left = peaks.pop();
+                peaks.push({ level: left.level + 1, hash: this.nodeHash(left.hash, right.hash) });
+            }
         }
+        return this.bag(peaks);
+    }
 
-        let nodes = [...this.levels[this.levels.length - 1]];
+    /**
+     * Get inclusion proof of leaf: sibling hashes from leaf up to the root.
+     * Returns null if leaf is unknown or not covered by the current root
+     * @param {number|string} leaf leaf index or leaf hash
+     * @returns {Array<{hash: string, position: string}>|null}
+     */
+    getProof(leaf) {
+        const index = typeof leaf == 'number' ? leaf : this.leaves.indexOf(leaf);
+        if (index < 0 || index >= this.leaves.length) return null;
+
+        // find complete subtree containing the leaf
+        const peaks = this.peaks();
+        let start = 0;
+        let peak = 0;
+        while (index >= start + 2 ** peaks[peak].level) {
+            start += 2 ** peaks[peak].level;
+            peak++;
+        }
+        if (this.legacy && peak > 0) return null;
 
-        while (nodes.length > 1) {
-            const next = [];
-            for (let i = 0; i < nodes.length; i += 2) {
-                next.push(hash(nodes[i] + i + 1 < nodes.length ? nodes[i + 1] : nodes[i]));
+        const proof = [];
+        let position = index;
+        for (let level = 0; level < peaks[peak].level; level++) {
+            const sibling = position % 2 == 0 ? position + 1 : position - 1;
+            proof.push({ hash: this.levels[level][sibling], position: sibling < position ? 'left' : 'right' });
+            position = Math.floor(position / 2);
+        }
+        if (this.legacy) return proof;
+
+        // smaller subtrees on the right are bagged into one node
+        if (peak < peaks.length - 1) {
+            let right = peaks[peaks.length - 1].hash;
+            for (let i = peaks.length - 2; i > peak; i--) {
+                right = nodeHash(peaks[i].hash, right);
             }
-            nodes = next;
+            proof.push({ hash: right, position: 'right' });
         }
+        for (let i = peak - 1; i >= 0; i--) {
+            proof.push({ hash: peaks[i].hash, position: 'left' });
+        }
+        return proof;
+    }
 
-        return nodes[0];
+    /**
+     * Verifies inclusion proof of leaf against merkle root
+     * @param {string} leaf transaction id (hex)
+     * @param {Array<{hash: string, position: string}>} proof
+     * @param {string} root
+     * @param {boolean} legacy proof of legacy tree
+     * @returns {boolean}
+     */
+    static verifyProof(leaf, proof, root, legacy = false) {
+        return this.verifyPath(legacy ? leaf : leafHash(Buffer.from(leaf, 'hex')), proof, root, legacy);
     }
+
+    /**
+     * Verifies inclusion proof of leaf hash against merkle root
+     * @param {string} hash leaf hash (hex)
+     * @param {Array<{hash: string, position: string}>} proof
+     * @param {string} root
+     * @param {boolean} legacy proof of legacy tree
+     * @returns {boolean}
+     */
+    static verifyPath(hash, proof, root, legacy = false) {
+        if (!Array.isArray(proof)) return false;
+        const combine = legacy ? legacyNodeHash : nodeHash;
+        let node = hash;
+        for (let { hash: sibling, position } of proof) {
+            node = position == 'left' ? combine(sibling, node) : combine(node, sibling);
+        }
+        return node === root;
+    }
+
     /**
      * Get size of leaves of merkle tree
      * @returns {number}
@@ -79,6 +270,35 @@ class TransactionMerkle {
     getLeaves() {
         return [...this.leaves];
     }
+
+    /**
+     * Serializable state of merkle tree
+     * @returns {Object}
+     */
+    toJSON() {
+        return { version: 2, legacy: this.legacy, leaves: this.leaves, levels: this.levels };
+    }
+
+    /**
+     * Restores merkle tree from serialized state.
+     * Inner nodes are rebuilt from leaves if state was saved in another mode
+     * @param {Object} data
+     * @param {Object} options same as constructor options
+     * @returns {TransactionMerkle}
+     */
+    static fromJSON(data, options = {}) {
+        const merkle = new this(options);
+        if (data.version === 2 && !!data.legacy === merkle.legacy) {
+            merkle.leaves = [...data.leaves];
+            merkle.levels = data.levels.map(level => [...level]);
+        } else {
+            data.leaves.forEach(leaf => merkle.addLeaf(leaf));
+        }
+        return merkle;
+    }
 }
 
-module.exports = TransactionMerkle;
\ No newline at end of file
+TransactionMerkle.leafHash = leafHash;
+TransactionMerkle.nodeHash = nodeHash;
+
+module.exports = TransactionMerkle;
@@ -0,0 +1,40 @@
+const WebSocket = require('ws');
+const Wire = require('./Wire.js');
+
+// frames of peers have a MAGIC and a flags byte before the message
+const maxPayload = Wire.maxMessageSize + 2;
+
+/**
+ * Peer connections over WebSocket. Sockets of a transport have the interface of `ws` sockets:
+ * `send`, `close`, `terminate`, `readyState` and `open`, `message`, `close`, `error` events
+ * @class
+ */
+class WebSocketTransport {
+    /**
+     * Accepts inbound connections
+     * @param {number} port
+     * @param {Function} onConnection called with each inbound socket
+     */
+    listen(port, onConnection) {
+        this.server = new WebSocket.Server({ port, maxPayload });
+        this.server.on('connection', onConnection);
+    }
+
+    /**
+     * Opens outbound connection
+     * @param {string} address
+     * @returns {WebSocket}
+     */
+    connect(address) {
+        return new WebSocket(address, { maxPayload });
+    }
+
+    /**
+     * Stops accepting connections
+     */
+    close() {
+        if (this.server) this.server.close();
+    }
+}
+
+module.exports = WebSocketTransport;
@@ -0,0 +1,183 @@
+const pako = require('pako');
+const Transaction = require('./Transaction.js');
+
+const PROTOCOL_VERSION = 2;
+// version 1 peers are JSON-only: they complete the handshake in plain JSON frames and sign JSON.stringify output
+const MIN_PROTOCOL_VERSION = 1;
+const CAPABILITIES = ['deflate', 'tx-binary'];
+
+// binary frames of upgraded peers start with MAGIC, plain JSON frames start with '{'
+const MAGIC = 0xf7;
+const DEFLATE = 1;
+const TX_BINARY = 2;
+
+const compressThreshold = 1024;
+// largest message text, a sync page of full blocks is far below it
+const maxMessageSize = 16 * 1024 * 1024;
+const inflateChunkSize = 64 * 1024;
+const DATA_PLACEHOLDER = '"data":0';
+
+/**
+ * Peer message encoding.
+ *
+ * Messages are JSON texts signed over their canonical form (sorted keys).
+ * Handshake messages and frames to peers without the deflate capability are plain JSON.
+ * Other peers get binary frames once the HELLO handshake agreed on the format: MAGIC, flags byte
+ * and the message text, where a NEW_TRANSACTION transaction can be replaced by its compact encoding,
+ * deflated when the frame is large. The receiver restores the exact message text,
+ * so signatures stay valid when a message is relayed between peers of different capabilities.
+ * Messages larger than maxMessageSize are refused, also when they inflate to it.
+ * @class
+ */
+class Wire {
+    /**
+     * Canonical JSON: object keys are sorted, undefined values skipped
+     * @param {*} value
+     * @returns {string}
+     */
+    static canonical(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => item === undefined ? 'null' : Wire.canonical(item)).join(',') + ']';
+        }
+        if (value && typeof value == 'object') {
+            return '{' + Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => JSON.stringify(key) + ':' + Wire.canonical(value[key]))
+                .join(',') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Handshake data of this node
+     * @returns {Object}
+     */
+    static hello() {
+        return { version: PROTOCOL_VERSION, capabilities: CAPABILITIES };
+    }
+
+    /**
+     * Does peer speak a supported protocol version
+     * @param {Object} hello handshake data of peer
+     * @returns {boolean}
+     */
+    static supported(hello) {
+        return (parseInt(hello?.version) || 0) >= MIN_PROTOCOL_VERSION;
+    }
+
+    /**
+     * Wire format agreed with peer from its handshake data
+     * @param {Object} hello
+     * @returns {Object}
+     */
+    static negotiate(hello) {
+        const capabilities = Array.isArray(hello?.capabilities) ? hello.capabilities : [];
+        return {
+            version: Math.min(PROTOCOL_VERSION, parseInt(hello?.version) || 0),
+            capabilities: CAPABILITIES.filter(capability => capabilities.includes(capability))
+        };
+    }
+
+    /**
+     * Encodes message text for peer
+     * @param {string} text message JSON
+     * @param {Object} wire wire format agreed with peer, plain JSON if undefined
+     * @returns {string|Buffer}
+     */
+    static encode(text, wire) {
+        if (!wire || !wire.capabilities.includes('deflate')) return text;
+
+        let flags = 0;
+        let body = Buffer.from(text);
+        if (wire.capabilities.includes('tx-binary')) {
+            const compact = Wire.encodeTransaction(text);
+            if (compact) {
+                flags |= TX_BINARY;
+                body = compact;
+            }
+        }
+        if (body.length > compressThreshold) {
+            flags |= DEFLATE;
+            body = Buffer.from(pako.deflate(body));
+        }
+        return Buffer.concat([Buffer.from([MAGIC, flags]), body]);
+    }
+
+    /**
+     * Decodes frame received from peer to message text
+     * @param {Buffer|string} data
+     * @param {boolean} isBinary
+     * @returns {string}
+     */
+    static decode(data, isBinary) {
+        if (data.length > maxMessageSize + 2) throw new Error(`Message larger than ${maxMessageSize} bytes`);
+        if (!isBinary || data[0] !== MAGIC) return data.toString();
+
+        const flags = data[1];
+        let body = data.subarray(2);
+        if (flags & DEFLATE) body = Wire.inflate(body);
+        if (flags & TX_BINARY) return Wire.decodeTransaction(body);
+        return body.toString();
+    }
+
+    /**
+     * Inflates deflated body chunk by chunk, stops once the output exceeds maxMessageSize
+     * @param {Buffer} body
+     * @returns {Buffer}
+     */
+    static inflate(body) {
+        const inflator = new pako.Inflate({ chunkSize: inflateChunkSize });
+        const chunks = [];
+        let size = 0;
+        inflator.onData = chunk => {
+            size += chunk.length;
+            if (size > maxMessageSize) throw new Error(`Message inflates to more than ${maxMessageSize} bytes`);
+            chunks.push(chunk);
+        };
+        inflator.push(body, true);
+        if (inflator.err) throw new Error(`Invalid deflated message: ${inflator.msg}`);
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Replaces serialized transaction of NEW_TRANSACTION message with its compact encoding.
+     * Returns null if the message text can't be restored exactly
+     * @param {string} text
+     * @returns {Buffer|null}
+     */
+    static encodeTransaction(text) {
+        try {
+            const message = JSON.parse(text);
+            if (message.type != "NEW_TRANSACTION" || typeof message.data != 'string') return null;
+            const transaction = Transaction.deserialize(message.data).encode();
+            if (Transaction.decode(transaction).serialize() !== message.data) return null;
+
+            const field = '"data":' + JSON.stringify(message.data);
+            if (text.indexOf(field) < 0 || text.indexOf(field) != text.lastIndexOf(field)) return null;
+            const envelope = Buffer.from(text.replace(field, DATA_PLACEHOLDER));
+            if (envelope.toString().indexOf(DATA_PLACEHOLDER) != envelope.toString().lastIndexOf(DATA_PLACEHOLDER)) return null;
+
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(envelope.length);
+            return Buffer.concat([length, envelope, transaction]);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Restores message text from envelope and compact transaction
+     * @param {Buffer} body
+     * @returns {string}
+     */
+    static decodeTransaction(body) {
+        const length = body.readUInt32BE(0);
+        const envelope = body.subarray(4, 4 + length).toString();
+        const transaction = Transaction.decode(body.subarray(4 + length));
+        return envelope.replace(DATA_PLACEHOLDER, '"data":' + JSON.stringify(transaction.serialize()));
+    }
+}
+
+Wire.maxMessageSize = maxMessageSize;
+
+module.exports = Wire;
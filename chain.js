@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ChainFile = require('./ChainFile.js');
+const Genesis = require('./Genesis.js');
+const Storage = require('./Storage.js');
+const Logger = require('./Logger.js');
+
+const usage = `Usage: node chain.js <command> <file> [options]
+
+Commands:
+  export <file>                       write the chain of the data directory to a chain file
+  verify <file>                       replay a chain file offline and report the first inconsistent block
+  import <file>                       verify a chain file, then write it to an empty data directory
+  legacy <file>                       legacy merkle root of a transactions.log written before blocks
+
+Options:
+  --data dir                          node data directory, default $DATA_DIR or ./data
+  --genesis file                      trusted genesis file, default $GENESIS or ./genesis.json.
+                                      verify uses the genesis of the chain file if it is missing
+  --root hash                         legacy: root reported by older nodes, exits with status 1 if it differs
+  --proof txid                        legacy: print the inclusion proof of a transaction`;
+
+const options = {
+    data: { type: 'string', default: process.env.DATA_DIR || './data' },
+    genesis: { type: 'string', default: process.env.GENESIS || './genesis.json' },
+    root: { type: 'string' },
+    proof: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Storage of an existing data directory with a block log
+ * @param {Object} args
+ * @returns {Storage}
+ */
+function existingStorage(args) {
+    if (!fs.existsSync(path.join(args.data, 'blocks.log'))) throw new Error(`No block log in ${args.data}`);
+    return new Storage(args.data, undefined, new Logger({ level: 'warn' }));
+}
+
+/**
+ * Reads and verifies chain file, exits with status 1 on the first inconsistency
+ * @param {Object} args
+ * @param {string} file
+ * @returns {Object|null} result of ChainFile.verify, null if the file is inconsistent
+ */
+function verified(args, file) {
+    const chainFile = ChainFile.read(file);
+    let genesis;
+    if (fs.existsSync(args.genesis)) genesis = Genesis.load(args.genesis);
+    else console.error(`warning: ${args.genesis} not found, verifying against the genesis of the chain file`);
+    const result = ChainFile.verify(chainFile, { genesis });
+    if (!result.valid) {
+        console.error(`${result.height === null ? 'chain file' : `block ${result.height}`} is inconsistent: ${result.reasons.join(', ')}`);
+        process.exitCode = 1;
+        return null;
+    }
+    const { node } = result;
+    console.log(`verified ${node.chain.blocks.length} blocks: tip ${node.tipHash()}, merkle root ${node.merkle()}, state root ${node.stateRoot(node.chain.accounts)}`);
+    return result;
+}
+
+const commands = {
+    export(args, file) {
+        const blocks = existingStorage(args).readBlocks();
+        ChainFile.write(file, Genesis.load(args.genesis), blocks);
+        console.log(`exported ${blocks.length} blocks to ${file}`);
+    },
+    verify(args, file) {
+        verified(args, file);
+    },
+    import(args, file) {
+        if (fs.existsSync(path.join(args.data, 'blocks.log'))) throw new Error(`${args.data} already has a block log, import needs an empty data directory`);
+        const result = verified(args, file);
+        if (!result) return;
+        const { chain, transactionMerkle } = result.node;
+        const storage = new Storage(args.data, undefined, new Logger({ level: 'warn' }));
+        storage.replace(chain.blocks);
+        storage.saveSnapshot(chain.blocks.length, chain.accounts, transactionMerkle.toJSON());
+        console.log(`imported ${chain.blocks.length} blocks to ${args.data}`);
+    },
+    legacy(args, file) {
+        const merkle = ChainFile.readTransactionLog(file);
+        const root = merkle.getRoot();
+        console.log(`read ${merkle.size()} transactions: legacy merkle root ${root}`);
+        if (args.proof) {
+            // a legacy root covers only the largest power of two transactions, the proof is null for the others
+            console.log(JSON.stringify({ leaf: args.proof, proof: merkle.getProof(args.proof), root, legacy: true }));
+        }
+        if (args.root && args.root != root) {
+            console.error(`legacy merkle root differs from ${args.root}`);
+            process.exitCode = 1;
+        }
+    }
+};
+
+function main() {
+    const { values: args, positionals } = parseArgs({ options, allowPositionals: true });
+    const [command, file] = positionals;
+    if (args.help || !commands[command] || !file) {
+        console.log(usage);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    commands[command](args, file);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
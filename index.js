@@ -1,11 +1,37 @@
 const P2P = require('./P2P.js');
-const fs = require('fs');
+const Storage = require('./Storage.js');
+const Api = require('./Api.js');
+const Genesis = require('./Genesis.js');
+const Logger = require('./Logger.js');
+const Signer = require('./Signer.js');
+const RemoteSigner = require('./RemoteSigner.js');
 
 const PORT = "4000"
+const API_PORT = process.env.API_PORT || "4001";
+const API_HOST = process.env.API_HOST || "127.0.0.1";
 const KEY = process.env.KEY;
+const KEYSTORE = process.env.KEYSTORE;
+const PASSPHRASE_FILE = process.env.PASSPHRASE_FILE;
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET;
 const PEERS = process.env.PEERS;
+const ADDRESS = process.env.ADDRESS;
+const GENESIS = process.env.GENESIS || "./genesis.json";
+const DATA_DIR = process.env.DATA_DIR || "./data";
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
 
-let chain = { transactions: [], accounts: {} };
+let chain = { blocks: [], accounts: {} };
 
-const server = new P2P(chain, PORT, PEERS.split(','), KEY);
+const genesis = Genesis.load(GENESIS);
+const logger = new Logger({ level: LOG_LEVEL });
+// the raw key is not passed on to child processes
+delete process.env.KEY;
+let signer;
+if (SIGNER_SOCKET) signer = new RemoteSigner(SIGNER_SOCKET);
+else if (KEYSTORE) signer = Signer.fromKeystore(KEYSTORE, PASSPHRASE_FILE);
+else signer = new Signer(KEY);
+const storage = new Storage(DATA_DIR, undefined, logger);
+const server = new P2P(chain, PORT, (PEERS || "").split(',').filter(peer => peer), null, { storage, genesis, address: ADDRESS, logger, signer });
 server.start()
+
+const api = new Api(server, API_PORT, API_HOST);
+api.start();
\ No newline at end of file
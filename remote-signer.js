@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const net = require('net');
+const Signer = require('./Signer.js');
+const SignerState = require('./SignerState.js');
+const Logger = require('./Logger.js');
+
+const KEYSTORE = process.env.KEYSTORE;
+const PASSPHRASE_FILE = process.env.PASSPHRASE_FILE;
+const SIGNER_SOCKET = process.env.SIGNER_SOCKET || "./signer.sock";
+const SIGNER_STATE = process.env.SIGNER_STATE || "./signer-state.json";
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+
+const logger = new Logger({ level: LOG_LEVEL });
+const signer = Signer.fromKeystore(KEYSTORE, PASSPHRASE_FILE);
+const state = new SignerState(SIGNER_STATE);
+
+const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 1);
+            let response, id;
+            try {
+                let method, message;
+                ({ id, method, message } = JSON.parse(line));
+                if (method == 'publicKey') {
+                    response = { id, publicKey: signer.publicKey };
+                } else if (method == 'sign') {
+                    const refused = state.refusal(signer.publicKey, message);
+                    if (refused) logger.warn("refused to sign", { reason: refused });
+                    response = refused ? { id, error: refused } : { id, sign: signer.sign(message) };
+                } else {
+                    response = { id, error: "unknown method" };
+                }
+            } catch (err) {
+                response = { id, error: err.message };
+            }
+            socket.write(JSON.stringify(response) + '\n');
+        }
+    });
+    socket.on('error', () => {});
+});
+
+if (fs.existsSync(SIGNER_SOCKET)) fs.unlinkSync(SIGNER_SOCKET);
+// socket is created accessible only by the owner
+process.umask(0o077);
+server.listen(SIGNER_SOCKET, () => {
+    logger.info("signer listening", { key: signer.publicKey, socket: SIGNER_SOCKET });
+});
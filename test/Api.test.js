@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const http = require('http');
+const Api = require('../Api.js');
+const Simulator = require('../Simulator.js');
+
+/**
+ * API of a simulated node on a free local port
+ * @returns {Promise<{sim: Simulator, api: Api}>}
+ */
+async function started() {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    const api = new Api(sim.nodes[0], 0);
+    api.start();
+    await once(api.server, 'listening');
+    return { sim, api };
+}
+
+/**
+ * Sends request and reads the JSON response
+ * @param {Api} api
+ * @param {string} method
+ * @param {string} path
+ * @param {string} body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function request(api, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: api.server.address().port, method, path }, res => {
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        // the server may close the connection before the whole body is sent
+        req.on('error', err => err.code == 'ECONNRESET' || err.code == 'EPIPE' ? null : reject(err));
+        req.end(body);
+    });
+}
+
+test('API listens only on the loopback address by default', async () => {
+    const { sim, api } = await started();
+    assert.strictEqual(api.server.address().address, '127.0.0.1');
+    const { status, body } = await request(api, 'GET', '/status');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.height, sim.nodes[0].chain.blocks.length);
+    api.stop();
+    sim.stop();
+});
+
+test('oversized body is answered with 413 before the connection is closed', async () => {
+    const { sim, api } = await started();
+    const { status, body } = await request(api, 'POST', '/transactions', 'x'.repeat(2 * 1024 * 1024));
+    assert.strictEqual(status, 413);
+    assert.strictEqual(body.error, "Body too large");
+    api.stop();
+    sim.stop();
+});
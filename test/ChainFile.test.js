@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChainFile = require('../ChainFile.js');
+const Genesis = require('../Genesis.js');
+const Storage = require('../Storage.js');
+const Logger = require('../Logger.js');
+const P2P = require('../P2P.js');
+const Simulator = require('../Simulator.js');
+const TransactionMerkle = require('../TransactionMerkle.js');
+
+const logger = new Logger({ level: 'silent' });
+
+/**
+ * New temporary directory, removed after the test
+ * @param {TestContext} t
+ * @param {string} prefix
+ * @returns {string}
+ */
+function temporary(t, prefix) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Chain of a simulated network with a few transfers, written to a chain file
+ * @param {TestContext} t
+ * @returns {{sim: Simulator, file: string}}
+ */
+function exported(t) {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    sim.transfer(0, 1, 1000n);
+    sim.transfer(2, 3, 1000n);
+    sim.run(10000);
+    sim.transfer(1, 'stake', 5000n);
+    sim.run(10000);
+    sim.stop();
+    const file = path.join(temporary(t, 'chain-'), 'chain.jsonl');
+    ChainFile.write(file, sim.genesis, sim.nodes[0].chain.blocks);
+    return { sim, file };
+}
+
+/**
+ * Chain file with block at height changed by tamper
+ * @param {string} file
+ * @param {number} height
+ * @param {Function} tamper
+ * @returns {Object}
+ */
+function tampered(file, height, tamper) {
+    const chainFile = ChainFile.read(file);
+    tamper(chainFile.blocks[height]);
+    return chainFile;
+}
+
+test('exported chain verifies against its genesis and replays the same state', t => {
+    const { sim, file } = exported(t);
+    const chainFile = ChainFile.read(file);
+    assert.strictEqual(chainFile.header.version, ChainFile.VERSION);
+    const result = ChainFile.verify(chainFile, { genesis: sim.genesis, logger });
+    assert.deepStrictEqual(result.reasons, []);
+    assert.strictEqual(result.node.tipHash(), sim.nodes[0].tipHash());
+    assert.strictEqual(result.node.stateRoot(result.node.chain.accounts), sim.nodes[0].stateRoot(sim.nodes[0].chain.accounts));
+    assert.ok(ChainFile.verify(chainFile, { logger }).valid);
+});
+
+test('verify reports the first inconsistent height with its reason', t => {
+    const { sim, file } = exported(t);
+    const height = sim.nodes[0].chain.blocks.findIndex(block => block.transactions.length > 0);
+    const verify = chainFile => ChainFile.verify(chainFile, { genesis: sim.genesis, logger });
+
+    const amount = verify(tampered(file, height, block => block.transactions[0].amount = '999'));
+    assert.strictEqual(amount.height, height);
+    assert.ok(amount.reasons.includes("Invalid merkle root"));
+
+    const [key] = Object.keys(sim.nodes[0].chain.blocks[height].validators);
+    const root = verify(tampered(file, height, block => block.validators[key].weight = '1'));
+    assert.strictEqual(root.height, height);
+    assert.ok(root.reasons.includes("Invalid validators root"));
+
+    const record = tampered(file, height, block => delete block.validators[key].vote.sign);
+    record.blocks[height].validatorsRoot = sim.nodes[0].votesRoot(record.blocks[height].validators);
+    const vote = verify(record);
+    assert.strictEqual(vote.height, height);
+    assert.ok(vote.reasons.includes(`Invalid vote of validator ${key}`));
+
+    const state = verify(tampered(file, 2, block => block.header.stateRoot = '0'.repeat(64)));
+    assert.strictEqual(state.height, 2);
+    assert.ok(state.reasons.includes("Invalid state root"));
+
+    const other = new Genesis({ ...sim.genesis.toJSON(), chainId: 'other' });
+    const genesis = ChainFile.verify(ChainFile.read(file), { genesis: other, logger });
+    assert.strictEqual(genesis.height, null);
+    assert.match(genesis.reasons[0], /Chain file is of genesis/);
+
+    const truncated = ChainFile.read(file);
+    truncated.blocks.pop();
+    assert.deepStrictEqual(verify(truncated).reasons.slice(0, 2), [`Header has ${truncated.header.height} blocks, file has ${truncated.blocks.length}`, "Header tip is not the last block"]);
+});
+
+test('imported chain is loaded by a new node from its snapshot', t => {
+    const { sim, file } = exported(t);
+    const { node } = ChainFile.verify(ChainFile.read(file), { genesis: sim.genesis, logger });
+    const storage = new Storage(temporary(t, 'data-'), undefined, logger);
+    storage.replace(node.chain.blocks);
+    storage.saveSnapshot(node.chain.blocks.length, node.chain.accounts, node.transactionMerkle.toJSON());
+
+    const restored = new P2P({ blocks: [], accounts: {} }, null, [], null, { genesis: sim.genesis, storage, logger });
+    restored.load();
+    assert.strictEqual(restored.tipHash(), sim.nodes[0].tipHash());
+    assert.strictEqual(restored.merkle(), sim.nodes[0].merkle());
+    assert.strictEqual(restored.stateRoot(restored.chain.accounts), sim.nodes[0].stateRoot(sim.nodes[0].chain.accounts));
+});
+
+test('files of other versions are refused', t => {
+    const { file } = exported(t);
+    const [header, ...blocks] = fs.readFileSync(file, 'utf8').split('\n');
+    fs.writeFileSync(file, [JSON.stringify({ ...JSON.parse(header), version: 2 }), ...blocks].join('\n'));
+    assert.throws(() => ChainFile.read(file), /Unsupported chain file version 2/);
+});
+
+test('transaction log written before blocks is read into the legacy merkle root of older nodes', t => {
+    const transactions = [0, 1, 2].map(nonce => ({ from: 'aa', to: 'bb', amount: 1000, timestamp: 1700000000 + nonce, nonce, body: '', signature: 'cc' }));
+    const file = path.join(temporary(t, 'data-'), 'transactions.log');
+    // the last entry was cut by a crash
+    fs.writeFileSync(file, transactions.map(transaction => JSON.stringify({ transaction, validators: {}, validatorsRoot: '' }) + '\n').join('') + '{"transaction":');
+    const merkle = ChainFile.readTransactionLog(file);
+
+    // older nodes hashed the signed JSON, and their root covers the largest power of two transactions
+    const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+    const txids = transactions.map(transaction => sha256(JSON.stringify(transaction)));
+    assert.deepStrictEqual(merkle.getLeaves(), txids);
+    assert.strictEqual(merkle.getRoot(), sha256(txids[0] + txids[1]));
+    assert.ok(TransactionMerkle.verifyProof(txids[1], merkle.getProof(txids[1]), merkle.getRoot(), true));
+    assert.strictEqual(merkle.getProof(txids[2]), null);
+
+    fs.writeFileSync(file, 'not json\n{}\n');
+    assert.throws(() => ChainFile.readTransactionLog(file), /Entry 0 is not JSON/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Genesis = require('../Genesis.js');
+const Simulator = require('../Simulator.js');
+
+const example = Genesis.load(path.join(__dirname, '..', 'genesis.example.json'));
+
+test('hash covers every parameter and does not depend on key order', () => {
+    const config = example.toJSON();
+    const reordered = Object.fromEntries(Object.entries(config).reverse());
+    assert.strictEqual(new Genesis(reordered).hash, example.hash);
+    assert.strictEqual(new Genesis(JSON.parse(JSON.stringify(config))).hash, example.hash);
+    const params = { ...config.params, fee: '101' };
+    assert.notStrictEqual(new Genesis({ ...config, params }).hash, example.hash);
+    assert.notStrictEqual(new Genesis({ ...config, chainId: 'other' }).hash, example.hash);
+});
+
+test('invalid genesis files are refused', () => {
+    const config = example.toJSON();
+    const [validator] = Object.keys(config.validators);
+    assert.throws(() => new Genesis({ ...config, extra: 1 }), /Unknown genesis field extra/);
+    assert.throws(() => new Genesis({ ...config, params: { unknown: 1 } }), /Unknown genesis parameter unknown/);
+    assert.throws(() => new Genesis({ ...config, params: { fee: -1 } }), /Invalid genesis fee/);
+    assert.throws(() => new Genesis({ ...config, validators: {} }), /Genesis has no validators/);
+    assert.throws(() => new Genesis({ ...config, validators: { [validator]: '1' } }), /lower than minStake/);
+    assert.throws(() => new Genesis({ ...config, allocations: { nokey: '1' } }), /Invalid genesis allocation key/);
+});
+
+test('nodes refuse peers of another genesis', () => {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    const { genesis } = sim;
+    sim.genesis = new Genesis({ ...genesis.toJSON(), params: { ...genesis.toJSON().params, fee: '101' } });
+    sim.nodes[3] = sim.createNode(3);
+    sim.genesis = genesis;
+    sim.start();
+    sim.run(5000);
+
+    assert.deepStrictEqual(sim.nodes[3].getPeers(), []);
+    for (let node of sim.nodes.slice(0, 3)) {
+        assert.deepStrictEqual(node.getPeers().map(peer => peer.key).sort(), sim.publicKeys.slice(0, 3).filter(key => key != node.publicKey).sort());
+    }
+    sim.stop();
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Keystore = require('../Keystore.js');
+
+const privateKey = Keystore.generate();
+const keystore = Keystore.encrypt(privateKey, 'correct horse');
+
+/**
+ * Hex string with its first byte changed
+ * @param {string} hex
+ * @returns {string}
+ */
+function flipped(hex) {
+    return (parseInt(hex.slice(0, 2), 16) ^ 1).toString(16).padStart(2, '0') + hex.slice(2);
+}
+
+test('keystore decrypts to the encrypted key, also from a file', t => {
+    assert.strictEqual(Keystore.decrypt(keystore, 'correct horse'), privateKey);
+    assert.ok(!JSON.stringify(keystore).includes(privateKey));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'key.json');
+    const { address } = Keystore.save(file, privateKey, 'correct horse');
+    assert.strictEqual(address, keystore.address);
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    assert.strictEqual(Keystore.load(file, 'correct horse'), privateKey);
+    assert.throws(() => Keystore.save(file, privateKey, 'correct horse'), /EEXIST/);
+});
+
+test('wrong passphrase is refused', () => {
+    assert.throws(() => Keystore.decrypt(keystore, 'wrong horse'), /Wrong passphrase or corrupted keystore/);
+});
+
+test('tampered ciphertext, tag or address is refused', () => {
+    const tampered = changes => ({ ...keystore, crypto: { ...keystore.crypto, ...changes } });
+    assert.throws(() => Keystore.decrypt(tampered({ ciphertext: flipped(keystore.crypto.ciphertext) }), 'correct horse'), /Wrong passphrase or corrupted keystore/);
+    assert.throws(() => Keystore.decrypt(tampered({ tag: flipped(keystore.crypto.tag) }), 'correct horse'), /Wrong passphrase or corrupted keystore/);
+    // the address is the additional authenticated data
+    const other = Keystore.encrypt(Keystore.generate(), 'correct horse').address;
+    assert.throws(() => Keystore.decrypt({ ...keystore, address: other }, 'correct horse'), /Wrong passphrase or corrupted keystore/);
+    assert.throws(() => Keystore.decrypt({ ...keystore, version: 2 }, 'correct horse'), /Unsupported keystore/);
+});
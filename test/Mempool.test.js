@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Mempool = require('../Mempool.js');
+const Transaction = require('../Transaction.js');
+
+const start = 1700000000;
+
+/**
+ * Clock whose time is set by the test
+ */
+class TestClock {
+    constructor() {
+        this.time = start * 1000;
+    }
+
+    now() {
+        return this.time;
+    }
+}
+
+/**
+ * Unsigned transaction of sender, the mempool does not check signatures
+ * @param {string} from
+ * @param {number} nonce
+ * @param {number} timestamp
+ * @returns {Transaction}
+ */
+function transaction(from, nonce, timestamp = start) {
+    const transaction = new Transaction(from, 'bb', 1000n, '', nonce, 'test', timestamp + 600);
+    transaction.timestamp = timestamp;
+    return transaction;
+}
+
+test('transactions are released in nonce order without gaps', () => {
+    const mempool = new Mempool({ clock: new TestClock() });
+    assert.ok(mempool.add(transaction('aa', 2))[0]);
+    assert.ok(mempool.add(transaction('aa', 1))[0]);
+    assert.deepStrictEqual(mempool.executable({ aa: { nonce: 0 } }), []);
+
+    assert.ok(mempool.add(transaction('aa', 0))[0]);
+    assert.deepStrictEqual(mempool.executable({ aa: { nonce: 0 } }).map(item => item.nonce), [0, 1, 2]);
+    assert.deepStrictEqual(mempool.executable({ aa: { nonce: 1 } }).map(item => item.nonce), [1, 2]);
+
+    mempool.removeUsed({ aa: { nonce: 2 } });
+    assert.strictEqual(mempool.size(), 1);
+    assert.deepStrictEqual(mempool.list({ aa: { nonce: 2 } }).map(({ nonce, executable }) => [nonce, executable]), [[2, true]]);
+});
+
+test('same nonce replaces a queued transaction that is not newer, duplicates are refused', () => {
+    const mempool = new Mempool({ clock: new TestClock() });
+    const first = transaction('aa', 0, start);
+    assert.ok(mempool.add(first)[0]);
+    assert.deepStrictEqual(mempool.add(first)[1].map(item => item.code), ['duplicate']);
+    assert.deepStrictEqual(mempool.add(transaction('aa', 0, start - 1))[1].map(item => item.code), ['replacement_older']);
+
+    const replacement = transaction('aa', 0, start + 1);
+    assert.ok(mempool.add(replacement)[0]);
+    assert.strictEqual(mempool.size(), 1);
+    assert.ok(!mempool.has(first.txid()));
+    assert.deepStrictEqual(mempool.executable({}).map(item => item.txid()), [replacement.txid()]);
+});
+
+test('full mempool evicts the highest nonce of the largest sender', () => {
+    const mempool = new Mempool({ maxSize: 3, maxPerSender: 2, clock: new TestClock() });
+    mempool.add(transaction('aa', 0));
+    mempool.add(transaction('aa', 1));
+    assert.deepStrictEqual(mempool.add(transaction('aa', 2))[1].map(item => item.code), ['sender_limit']);
+    mempool.add(transaction('cc', 0));
+
+    assert.ok(mempool.add(transaction('dd', 0))[0]);
+    assert.strictEqual(mempool.size(), 3);
+    assert.deepStrictEqual(mempool.list({}).map(({ from, nonce }) => from + nonce), ['aa0', 'cc0', 'dd0']);
+});
+
+test('transactions are evicted after maxAge or their validUntil', () => {
+    const clock = new TestClock();
+    const mempool = new Mempool({ maxAge: 60, clock });
+    mempool.add(transaction('aa', 0));
+    const expiring = transaction('cc', 0);
+    expiring.validUntil = start + 30;
+    mempool.add(expiring);
+
+    clock.time += 31 * 1000;
+    assert.deepStrictEqual(mempool.executable({}).map(item => item.from), ['aa']);
+    clock.time += 30 * 1000;
+    assert.deepStrictEqual(mempool.executable({}), []);
+    assert.strictEqual(mempool.size(), 0);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const Multisig = require('../Multisig.js');
+const Transaction = require('../Transaction.js');
+const Simulator = require('../Simulator.js');
+
+const keys = [1, 2, 3].map(index => crypto.createHash('sha256').update('multisig key ' + index).digest('hex'));
+const publicKeys = keys.map(key => ec.keyFromPrivate(key, 'hex').getPublic('hex'));
+const definition = { threshold: 2, keys: publicKeys };
+
+function transaction(from = Multisig.address(definition)) {
+    // fixed times, so transactions created in different seconds have the same txid
+    const transaction = new Transaction(from, publicKeys[0], 1000n, '', 0, 'test', 1700000600);
+    transaction.timestamp = 1700000000;
+    return transaction;
+}
+
+test('address does not depend on key order or encoding', () => {
+    const compressed = keys.map(key => ec.keyFromPrivate(key, 'hex').getPublic(true, 'hex')).reverse();
+    assert.strictEqual(Multisig.address({ threshold: 2, keys: compressed }), Multisig.address(definition));
+    assert.notStrictEqual(Multisig.address({ threshold: 3, keys: publicKeys }), Multisig.address(definition));
+    assert.ok(Multisig.isAddress(Multisig.address(definition)));
+    assert.ok(!Multisig.isAddress(publicKeys[0]));
+});
+
+test('invalid definitions are refused', () => {
+    assert.throws(() => Multisig.normalize({ threshold: 0, keys: publicKeys }), /threshold/);
+    assert.throws(() => Multisig.normalize({ threshold: 4, keys: publicKeys }), /threshold/);
+    assert.throws(() => Multisig.normalize({ threshold: 1, keys: [] }), /keys/);
+    assert.throws(() => Multisig.normalize({ threshold: 1, keys: [publicKeys[0], ec.keyFromPublic(publicKeys[0], 'hex').getPublic(true, 'hex')] }), /Duplicate/);
+    assert.throws(() => Multisig.parse('{'), /not JSON/);
+});
+
+test('transaction verifies once signatures reach the threshold', () => {
+    const signed = transaction();
+    signed.sign(keys[2], definition);
+    assert.ok(!signed.verify(definition));
+    signed.sign(keys[2], definition);
+    assert.strictEqual(Multisig.unpack(signed.signature).size, 1);
+    assert.ok(!signed.verify(definition));
+    signed.sign(keys[0], definition);
+    assert.ok(signed.verify(definition));
+
+    const decoded = Transaction.deserialize(signed.serialize());
+    assert.ok(decoded.verify(definition));
+    assert.strictEqual(decoded.txid(), transaction().txid());
+    assert.ok(!decoded.verify());
+    assert.ok(!decoded.verify({ threshold: 1, keys: publicKeys }));
+});
+
+test('signatures of other keys or transactions do not count', () => {
+    const signed = transaction();
+    assert.throws(() => signed.sign(crypto.randomBytes(32).toString('hex'), definition), /not a key/);
+    assert.throws(() => transaction(publicKeys[0]).sign(keys[0], definition), /not from this multisig/);
+    signed.sign(keys[0], definition);
+    const other = transaction();
+    other.amount = 2000n;
+    other.sign(keys[1], definition);
+    // signature of this transaction with a signature of another one
+    const signatures = Multisig.unpack(signed.signature);
+    const [[index, signature]] = Multisig.unpack(other.signature);
+    signatures.set(index, signature);
+    assert.strictEqual(signatures.size, 2);
+    signed.signature = Multisig.pack(signatures);
+    assert.ok(!signed.verify(definition));
+});
+
+test('registered multisig account spends with threshold signatures and keeps its nonce', () => {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    const members = { threshold: 2, keys: sim.publicKeys.slice(1) };
+    const address = Multisig.address(members);
+    const registration = sim.sign(0, 'multisig', 100000n);
+    registration.body = JSON.stringify(members);
+    registration.sign(sim.keys[0]);
+    assert.ok(sim.nodes[0].sendTransaction(registration)[0]);
+    sim.nonces[0]++;
+    sim.run(10000);
+    const account = sim.nodes[0].chain.accounts[address];
+    assert.deepStrictEqual(account.multisig, Multisig.normalize(members));
+    assert.strictEqual(account.balance, 100000n - sim.genesis.params.fee);
+
+    const spend = (signers, nonce) => {
+        const spending = new Transaction(address, sim.publicKeys[0], 1000n, '', nonce, sim.genesis.chainId);
+        spending.timestamp = Math.floor(sim.clock.now() / 1000);
+        spending.validUntil = spending.timestamp + 600;
+        signers.forEach(index => spending.sign(sim.keys[index], members));
+        return sim.nodes[1].sendTransaction(spending);
+    };
+    const [added, reasons] = spend([1], 0);
+    assert.ok(!added);
+    assert.deepStrictEqual(reasons.map(reason => reason.code), ['invalid_signature']);
+    assert.ok(spend([3, 1], 0)[0]);
+    sim.run(10000);
+    sim.check();
+    for (let node of sim.nodes) {
+        assert.strictEqual(node.chain.accounts[address].nonce, 1);
+        assert.strictEqual(node.chain.accounts[address].balance, 100000n - sim.genesis.params.fee - 1000n);
+    }
+
+    const again = sim.sign(0, 'multisig', 1000n);
+    again.body = JSON.stringify(members);
+    again.sign(sim.keys[0]);
+    assert.deepStrictEqual(sim.nodes[0].sendTransaction(again)[1].map(reason => reason.code), ['multisig_exists']);
+    sim.stop();
+});
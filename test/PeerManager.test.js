@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PeerManager = require('../PeerManager.js');
+const Simulator = require('../Simulator.js');
+const Storage = require('../Storage.js');
+const Logger = require('../Logger.js');
+
+/**
+ * Keys of peers connected to node
+ * @param {P2P} node
+ * @returns {Array<string>}
+ */
+function peerKeys(node) {
+    return node.getPeers().map(peer => peer.key).sort();
+}
+
+test('failed dials back off exponentially until the peer is up', () => {
+    const sim = new Simulator({ nodes: 2, seed: 1 });
+    sim.start([1]);
+    const entry = sim.nodes[1].peerManager.peers.get(sim.address(0));
+    const retries = [];
+    for (let failures = 1; failures <= 4; failures++) {
+        while (entry.failures < failures) sim.run(100);
+        retries.push(entry.retryAt - sim.clock.now());
+    }
+    // retries are scheduled after 1, 2, 4 and 8 seconds, measured up to 100 ms late
+    retries.forEach((retry, index) => assert.ok(retry <= 1000 * 2 ** index && retry > 1000 * 2 ** index - 200, `retry ${index}: ${retry}`));
+    assert.deepStrictEqual(sim.nodes[1].getPeers(), []);
+
+    sim.start([0]);
+    sim.run(20000);
+    assert.deepStrictEqual(peerKeys(sim.nodes[1]), [sim.publicKeys[0]]);
+    assert.strictEqual(entry.failures, 0);
+    sim.stop();
+});
+
+test('peers are learned from PEERS answers and the peer table is persisted', t => {
+    const sim = new Simulator({ nodes: 3, seed: 1 });
+    sim.start();
+    sim.run(5000);
+    // node 0 has no seeds, node 1 dialed it and node 2 dialed both
+    assert.deepStrictEqual([...sim.nodes[0].peerManager.peers.keys()].sort(), [sim.address(1), sim.address(2)]);
+    assert.ok(sim.nodes[1].peerManager.peers.has(sim.address(2)));
+    sim.stop();
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const storage = new Storage(dir, undefined, new Logger({ level: 'silent' }));
+    const manager = sim.nodes[2].peerManager;
+    manager.storage = storage;
+    manager.save();
+    const restored = new PeerManager(sim.nodes[2], { storage });
+    assert.deepStrictEqual(restored.toJSON().map(({ address, key, seed }) => [address, key, seed]),
+        manager.toJSON().map(({ address, key }) => [address, key, false]));
+});
+
+test('peer is banned at the score threshold and reconnects after the ban', () => {
+    const sim = new Simulator({ nodes: 3, seed: 1 });
+    sim.start();
+    sim.run(5000);
+    const [node] = sim.nodes;
+    const key = sim.publicKeys[1];
+    node.penalize(key, 50, "test");
+    assert.ok(!node.scores.banned(key));
+    assert.deepStrictEqual(peerKeys(node), [sim.publicKeys[1], sim.publicKeys[2]].sort());
+    node.penalize(key, 50, "test");
+    assert.ok(node.scores.banned(key));
+    sim.run(30000);
+    assert.deepStrictEqual(peerKeys(node), [sim.publicKeys[2]]);
+    assert.ok(!peerKeys(sim.nodes[1]).includes(node.publicKey));
+
+    sim.run(node.scores.banTime);
+    assert.ok(!node.scores.banned(key));
+    assert.deepStrictEqual(peerKeys(node), [sim.publicKeys[1], sim.publicKeys[2]].sort());
+    sim.stop();
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SeenCache = require('../SeenCache.js');
+
+/**
+ * Clock whose time is set by the test
+ */
+class TestClock {
+    constructor() {
+        this.time = 0;
+    }
+
+    now() {
+        return this.time;
+    }
+}
+
+test('ids are forgotten after ttl', () => {
+    const clock = new TestClock();
+    const seen = new SeenCache({ ttl: 1000, clock });
+    assert.ok(seen.add('a'));
+    assert.ok(!seen.add('a'));
+    clock.time = 500;
+    seen.add('b');
+
+    clock.time = 1000;
+    assert.ok(seen.has('a') && seen.has('b'));
+    clock.time = 1001;
+    assert.ok(!seen.has('a'));
+    assert.ok(seen.has('b'));
+    assert.strictEqual(seen.size(), 1);
+    assert.ok(seen.add('a'));
+});
+
+test('oldest ids are evicted above maxSize', () => {
+    const clock = new TestClock();
+    const seen = new SeenCache({ maxSize: 3, clock });
+    for (let id of ['a', 'b', 'c', 'd']) {
+        seen.add(id);
+        clock.time++;
+    }
+    assert.strictEqual(seen.size(), 3);
+    assert.deepStrictEqual(['a', 'b', 'c', 'd'].map(id => seen.has(id)), [false, true, true, true]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Wire = require('../Wire.js');
+const SignerState = require('../SignerState.js');
+
+const key = 'aa';
+
+/**
+ * Canonical text of an unsigned vote of the signer key
+ * @param {number} height
+ * @param {number} round
+ * @param {string} hash
+ * @returns {string}
+ */
+function vote(height, round, hash) {
+    return Wire.canonical({ type: "VOTE", data: { height, round, hash }, id: `${height}:${round}:${hash}`, key });
+}
+
+/**
+ * @param {TestContext} t
+ * @returns {string} state file in a new temporary directory, removed after the test
+ */
+function stateFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'signer-state.json');
+}
+
+test('second vote for another block at the same height and round is refused, also after a restart', t => {
+    const file = stateFile(t);
+    const state = new SignerState(file);
+    assert.strictEqual(state.refusal(key, vote(5, 0, 'b1')), null);
+    // the same vote can be signed again, another round is another slot
+    assert.strictEqual(state.refusal(key, vote(5, 0, 'b1')), null);
+    assert.strictEqual(state.refusal(key, vote(5, 1, 'b2')), null);
+    assert.strictEqual(state.refusal(key, vote(5, 0, 'b2')), "conflicting vote at height 5 round 0");
+
+    const restarted = new SignerState(file);
+    assert.deepStrictEqual(restarted.votes, { '5:0': 'b1', '5:1': 'b2' });
+    assert.strictEqual(restarted.refusal(key, vote(5, 0, 'b2')), "conflicting vote at height 5 round 0");
+    assert.strictEqual(restarted.refusal(key, vote(5, 0, 'b1')), null);
+    assert.ok(!fs.existsSync(file + '.tmp'));
+});
+
+test('votes far below the highest signed vote are pruned and refused', t => {
+    const file = stateFile(t);
+    const state = new SignerState(file);
+    state.refusal(key, vote(5, 0, 'b1'));
+    state.refusal(key, vote(1500, 0, 'b2'));
+    assert.deepStrictEqual(state.votes, { '1500:0': 'b2' });
+    assert.strictEqual(state.floor, 500);
+
+    const restarted = new SignerState(file);
+    assert.strictEqual(restarted.refusal(key, vote(5, 0, 'b1')), "vote at height 5 below signer records");
+    assert.strictEqual(restarted.refusal(key, vote(500, 0, 'b3')), null);
+});
+
+test('messages that are not canonical, of another key or already signed are refused', t => {
+    const state = new SignerState(stateFile(t));
+    const text = vote(1, 0, 'b1');
+    const message = JSON.parse(text);
+    assert.strictEqual(state.refusal(key, JSON.stringify(message, null, 1)), "message is not canonical JSON");
+    assert.strictEqual(state.refusal('bb', text), "message key is not the signer key");
+    assert.strictEqual(state.refusal(key, Wire.canonical({ ...message, sign: '00' })), "message is already signed");
+    assert.strictEqual(state.refusal(key, Wire.canonical({ ...message, data: { height: '1', round: 0, hash: 'b1' } })), "invalid vote");
+    assert.strictEqual(state.refusal(key, Wire.canonical({ type: "PROPOSAL", data: {}, id: 'p', key })), null);
+    assert.deepStrictEqual(state.votes, {});
+});
@@ -0,0 +1,509 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Simulator = require('../Simulator.js');
+const crypto = require('crypto');
+const Transaction = require('../Transaction.js');
+const Signer = require('../Signer.js');
+const Wire = require('../Wire.js');
+
+/**
+ * Simulated network with committed genesis block
+ * @param {Object} options
+ * @param {Array<number>} indexes nodes to start
+ * @returns {Simulator}
+ */
+function network(options, indexes) {
+    const sim = new Simulator({ nodes: 4, seed: 1, ...options });
+    sim.start(indexes);
+    sim.run(3000);
+    return sim;
+}
+
+test('transactions submitted concurrently to different nodes are committed once', () => {
+    const sim = network({ latency: [20, 200] });
+    for (let round = 0; round < 3; round++) {
+        for (let from = 0; from < 4; from++) {
+            const [added] = sim.transfer(from, (from + 1) % 4, 1000n, (from + round) % 4);
+            assert.ok(added);
+        }
+    }
+    sim.run(20000);
+    sim.check();
+    const heights = sim.heights();
+    assert.ok(heights.every(height => height == heights[0] && height > 1));
+    for (let node of sim.nodes) {
+        assert.strictEqual(node.mempool.size(), 0);
+        sim.publicKeys.forEach(key => assert.strictEqual(node.chain.accounts[key].nonce, 3));
+    }
+    sim.stop();
+});
+
+test('votes are weighted by stake and a block is final only with more than 2/3 of it', () => {
+    const sim = network();
+    sim.transfer(0, 1, 1000n);
+    sim.run(10000);
+    sim.stop();
+    const node = sim.nodes[0];
+    const blockHash = 'ab'.repeat(32);
+    const vote = index => JSON.parse(sim.nodes[index].sign({ type: "VOTE", data: { hash: blockHash, height: 1, round: 0, valid: true } }));
+    const weights = Object.fromEntries(sim.publicKeys.map((key, index) => [key, index == 0 ? 70n : 10n]));
+    const quorum = votes => {
+        const { approved, total } = node.voteWeights(weights, votes, blockHash);
+        return approved * 3n > total * 2n;
+    };
+    assert.ok(quorum([vote(0)]));
+    assert.ok(!quorum([vote(1), vote(2), vote(3)]));
+    assert.ok(!quorum([vote(1), vote(1), vote(1), vote(2), vote(3)]));
+
+    // blocks replayed from history are checked against the stakes of their height
+    const block = structuredClone(node.chain.blocks[1]);
+    node.chain.blocks.length = 1;
+    node.chain.accounts = {};
+    node.applyGenesis(node.chain.accounts);
+    assert.ok(node.blockFinal(block));
+    const keys = Object.keys(block.validators).filter(key => block.validators[key].vote);
+    const removed = structuredClone(block);
+    keys.slice(0, keys.length - 2).forEach(key => removed.validators[key].vote = null);
+    removed.validatorsRoot = node.votesRoot(removed.validators);
+    assert.ok(!node.blockFinal(removed));
+    const reweighted = structuredClone(block);
+    reweighted.validators[keys[0]].weight = '1';
+    reweighted.validatorsRoot = node.votesRoot(reweighted.validators);
+    assert.ok(!node.blockFinal(reweighted));
+});
+
+test('malformed votes and votes far above the chain are not stored', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    const root = sim.nodes[0].merkle();
+    const votes = [
+        { hash: 'a1', round: 0, root },
+        { hash: 'a2', height: 'x', round: 0, root },
+        { hash: 'a3', height: height + 1, round: '0', root },
+        { hash: 'a4', height: height + 1, round: -1, root },
+        { hash: ['a5'], height: height + 1, round: 0, root },
+        { hash: 'a6', height: height + 1, round: 0 },
+        { hash: 'a7', height: height + 1000, round: 0, root }
+    ];
+    votes.forEach(data => sim.nodes[1].send({ type: "VOTE", data }));
+    sim.run(1000);
+    for (let node of sim.nodes) {
+        assert.deepStrictEqual(Object.keys(node.votes).filter(hash => hash.startsWith('a')), []);
+    }
+
+    sim.nodes[1].send({ type: "VOTE", data: { hash: 'b1', height: height + 1, round: 0, root } });
+    sim.run(100);
+    assert.ok(sim.nodes[0].votes.b1[sim.publicKeys[1]]);
+    sim.stop();
+});
+
+test('round times out when the proposer has crashed and the next proposer commits', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    const proposer = sim.publicKeys.indexOf(sim.nodes[0].proposer(height, 0));
+    sim.crash(proposer);
+    const sender = (proposer + 1) % 4;
+    assert.ok(sim.transfer(sender, proposer, 1000n)[0]);
+    sim.run(sim.genesis.params.maxVoteTime / 2);
+    assert.strictEqual(sim.nodes[sender].chain.blocks.length, height);
+
+    sim.run(sim.genesis.params.maxVoteTime * 2);
+    sim.check();
+    for (let [index, node] of sim.nodes.entries()) {
+        if (index == proposer) continue;
+        assert.strictEqual(node.chain.blocks.length, height + 1);
+        assert.strictEqual(node.chain.blocks[height].transactions.length, 1);
+        assert.strictEqual(node.round, 0);
+    }
+    assert.strictEqual(sim.nodes[sender].metrics.get('vote_rounds_total', { outcome: 'timeout' }), 1);
+    assert.strictEqual(sim.nodes[sender].metrics.get('vote_rounds_total', { outcome: 'accepted' }), 1);
+    sim.stop();
+});
+
+test('late joiner and restarted node synchronize the chain', () => {
+    const sim = network({ nodes: 5, validators: 4 }, [0, 1, 2, 3]);
+    for (let i = 0; i < 3; i++) {
+        sim.transfer(i, 4, 1000n);
+        sim.run(3000);
+    }
+    sim.start([4]);
+    sim.crash(3);
+    sim.restart(3);
+    sim.run(5000);
+    sim.check();
+    const heights = sim.heights();
+    assert.ok(heights[0] > 2);
+    assert.deepStrictEqual(heights, heights.map(() => heights[0]));
+
+    sim.transfer(4, 0, 1000n);
+    sim.run(5000);
+    sim.check();
+    assert.strictEqual(sim.nodes[4].chain.blocks.length, heights[0] + 1);
+    sim.stop();
+});
+
+test('syncing node refuses the block whose merkle root differs from the root reported by most stake', () => {
+    const sim = network({ nodes: 5, validators: 4 }, [0, 1, 2, 3]);
+    for (let i = 0; i < 3; i++) {
+        sim.transfer(i, 4, 1000n);
+        sim.run(3000);
+    }
+    const height = sim.nodes[0].chain.blocks.length;
+    for (let node of sim.nodes.slice(0, 3)) {
+        const send = node.send.bind(node);
+        node.send = payload => send(payload.type == "STATUS" ? { ...payload, data: { ...payload.data, root: '0'.repeat(64) } } : payload);
+    }
+    sim.start([4]);
+    sim.run(5000);
+    const node = sim.nodes[4];
+    assert.strictEqual(node.chain.blocks.length, height - 1);
+    assert.ok(Object.values(node.scores.toJSON().scores).some(score => score < 0));
+    sim.stop();
+});
+
+test('JSON-only peer completes the handshake in plain JSON frames and its messages are relayed', () => {
+    const sim = network();
+    const peer = new Signer(crypto.createHash('sha256').update('json-only peer').digest('hex'));
+    // JSON-only peers sign JSON.stringify output in their own key order
+    const signed = payload => {
+        payload.id = crypto.randomUUID();
+        payload.key = peer.publicKey;
+        payload.sign = peer.sign(JSON.stringify(payload));
+        return JSON.stringify(payload);
+    };
+    const transaction = sim.sign(0, 1, 1000n);
+    const socket = sim.connect(0, sim.address(1));
+    const frames = [];
+    socket.on('message', (data, isBinary) => {
+        frames.push(isBinary);
+        const message = JSON.parse(data);
+        if (message.type != "HELLO") return;
+        const { chainId, genesis } = message.data;
+        socket.send(signed({ type: "HELLO", data: { version: 1, chainId, genesis, height: 0, challenge: 'json-only' } }));
+        socket.send(signed({ type: "AUTH", data: { challenge: message.data.challenge, to: message.key } }));
+        socket.send(signed({ type: "NEW_TRANSACTION", data: transaction.serialize() }));
+    });
+    sim.run(1000);
+    assert.ok(frames.length > 2);
+    assert.ok(frames.every(isBinary => !isBinary));
+    assert.ok(sim.nodes[1].sockets.some(item => item.remote == socket && item.key == peer.publicKey));
+    assert.ok(sim.nodes.every(node => node.knownTransaction(transaction)));
+    sim.nodes.forEach(node => assert.ok(Object.values(node.scores.toJSON().scores).every(score => score >= 0)));
+    sim.stop();
+});
+
+test('handshake relayed by a man in the middle does not bind its socket to the relayed key', () => {
+    const sim = network();
+    const attacker = new Signer(crypto.createHash('sha256').update('attacker').digest('hex'));
+    const signed = payload => {
+        payload.id = crypto.randomUUID();
+        payload.key = attacker.publicKey;
+        payload.sign = attacker.sign(Wire.canonical(payload));
+        return Buffer.from(Wire.canonical(payload));
+    };
+    // the attacker, who reaches both nodes, poses as node 1 to node 0
+    sim.partition([[0, 2], [1, 2]]);
+    const toNode = sim.connect(2, sim.address(0));
+    const toVictim = sim.connect(2, sim.address(1));
+    const hellos = {};
+    const relay = () => {
+        if (!hellos.node || !hellos.victim || hellos.relayed) return;
+        hellos.relayed = true;
+        toNode.send(hellos.victim.data);
+        // node 1 answers the challenge of node 0 in its AUTH
+        const { chainId, genesis, height } = hellos.node.message.data;
+        toVictim.send(signed({ type: "HELLO", data: { ...Wire.hello(), chainId, genesis, height, challenge: hellos.node.message.data.challenge } }));
+    };
+    toNode.on('message', (data, isBinary) => {
+        const message = JSON.parse(Wire.decode(data, isBinary));
+        if (message.type == "HELLO") hellos.node = { data, message };
+        relay();
+    });
+    toVictim.on('message', (data, isBinary) => {
+        const message = JSON.parse(Wire.decode(data, isBinary));
+        if (message.type == "HELLO") hellos.victim = { data, message };
+        if (message.type == "AUTH") toNode.send(data);
+        else relay();
+    });
+    let closed = false;
+    toNode.on('close', () => closed = true);
+    sim.run(1000);
+    assert.ok(closed);
+    assert.ok(!sim.nodes[0].sockets.some(socket => socket.remote == toNode && socket.key));
+    sim.stop();
+});
+
+test('partitioned network without quorum stalls and recovers after healing', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    sim.partition([[0, 1], [2, 3]]);
+    sim.transfer(0, 2, 1000n);
+    sim.transfer(2, 0, 1000n);
+    sim.run(30000);
+    sim.check();
+    assert.deepStrictEqual(sim.heights(), [height, height, height, height]);
+
+    sim.heal();
+    sim.run(60000);
+    sim.check();
+    const heights = sim.heights();
+    assert.ok(heights[0] > height);
+    assert.deepStrictEqual(heights, heights.map(() => heights[0]));
+    sim.stop();
+});
+
+test('transactions of another chain or past their validUntil are rejected with codes', () => {
+    const sim = network();
+    const now = Math.floor(sim.clock.now() / 1000);
+    const transfer = (chainId, validUntil) => {
+        const transaction = new Transaction(sim.publicKeys[0], sim.publicKeys[1], 1000n, '', 0, chainId, validUntil);
+        transaction.timestamp = now;
+        transaction.sign(sim.keys[0]);
+        const [added, reasons] = sim.nodes[0].sendTransaction(transaction);
+        assert.ok(!added);
+        return reasons.map(item => item.code);
+    };
+    assert.deepStrictEqual(transfer('another chain', now + 600), ['wrong_chain']);
+    assert.deepStrictEqual(transfer(sim.genesis.chainId, now - 1), ['expired']);
+    sim.stop();
+});
+
+test('queued transaction expiring before a quorum returns is never committed', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    sim.partition([[0, 1], [2, 3]]);
+    const transaction = new Transaction(sim.publicKeys[0], sim.publicKeys[1], 1000n, '', 0, sim.genesis.chainId);
+    transaction.timestamp = Math.floor(sim.clock.now() / 1000);
+    transaction.validUntil = transaction.timestamp + 10;
+    transaction.sign(sim.keys[0]);
+    assert.ok(sim.nodes[0].sendTransaction(transaction)[0]);
+    sim.run(30000);
+
+    sim.heal();
+    sim.run(30000);
+    sim.check();
+    assert.deepStrictEqual(sim.heights(), [height, height, height, height]);
+    for (let node of sim.nodes) {
+        assert.strictEqual(node.mempool.size(), 0);
+        assert.strictEqual(node.chain.accounts[sim.publicKeys[0]].nonce, 0);
+    }
+    sim.stop();
+});
+
+test('proposal backdated to include an expired transaction is invalid', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    const proposer = sim.nodes[sim.publicKeys.indexOf(sim.nodes[0].proposer(height, 0))];
+    let proposal = null;
+    const send = proposer.send.bind(proposer);
+    // the proposal is kept from the other validators, the round times out without a block
+    proposer.send = payload => payload.type == "PROPOSAL" ? proposal = payload.data : send(payload);
+    const transaction = new Transaction(sim.publicKeys[0], sim.publicKeys[1], 1000n, '', 0, sim.genesis.chainId);
+    transaction.timestamp = Math.floor(sim.clock.now() / 1000);
+    transaction.validUntil = transaction.timestamp + 3;
+    transaction.sign(sim.keys[0]);
+    assert.ok(sim.nodes[0].sendTransaction(transaction)[0]);
+    sim.run(1000);
+    assert.strictEqual(proposal.transactions.length, 1);
+    proposer.send = send;
+    sim.run(2 * sim.genesis.params.timestampRange * 1000);
+    assert.deepStrictEqual(sim.heights(), sim.nodes.map(() => height));
+
+    const node = sim.nodes.find(item => item != proposer);
+    const now = Math.floor(sim.clock.now() / 1000);
+    const [, reasons] = node.transactionValid(transaction, now, structuredClone(node.chain.accounts), height);
+    assert.deepStrictEqual(reasons.map(item => item.code), ['expired']);
+    assert.deepStrictEqual(node.proposalValid(proposal).slice(0, 2), [false, ["Invalid block timestamp"]]);
+    sim.stop();
+});
+
+test('node whose accounts state diverges from a final block halts', () => {
+    const sim = network();
+    const height = sim.nodes[0].chain.blocks.length;
+    sim.nodes[3].chain.accounts[sim.publicKeys[3]].balance += 1n;
+    sim.transfer(0, 1, 1000n);
+    sim.run(20000);
+    sim.check([0, 1, 2]);
+    assert.ok(sim.nodes[0].chain.blocks.length > height);
+    const { halted } = sim.nodes[3];
+    assert.strictEqual(halted.height, height);
+    assert.strictEqual(halted.stateRoot, sim.nodes[0].chain.blocks[height].header.stateRoot);
+    assert.notStrictEqual(halted.localStateRoot, halted.stateRoot);
+    assert.strictEqual(halted.validatorStateRoots[sim.publicKeys[0]], halted.stateRoot);
+    assert.throws(() => sim.check(), /node 3 halted/);
+    sim.stop();
+});
+
+test('node on a fork rolls back to the common ancestor and syncs the chain of the most stake', () => {
+    // the same validator keys sign another chain in a second network
+    const fork = network();
+    fork.transfer(2, 3, 1000n);
+    fork.run(10000);
+    fork.transfer(3, 2, 1000n);
+    fork.run(10000);
+    fork.stop();
+    const forkBlocks = fork.nodes[3].chain.blocks;
+
+    const sim = network();
+    sim.transfer(0, 1, 1000n);
+    sim.run(10000);
+    sim.crash(3);
+    sim.restart(3, forkBlocks);
+    sim.run(5000);
+    assert.strictEqual(sim.nodes[3].chain.blocks.length, forkBlocks.length);
+    assert.ok(forkBlocks.length > sim.nodes[0].chain.blocks.length);
+
+    // votes of the next block are on another merkle root
+    sim.transfer(1, 0, 1000n);
+    sim.run(10000);
+    assert.strictEqual(sim.nodes[3].forks.length, 1);
+    for (let round = 0; round < 2; round++) {
+        sim.transfer(0, 1, 1000n);
+        sim.run(10000);
+    }
+    sim.check();
+    const [event] = sim.nodes[3].forks;
+    assert.strictEqual(event.outcome, 'rolled_back');
+    assert.strictEqual(event.ancestor, 1);
+    assert.strictEqual(event.rolledBack, forkBlocks.length - 1);
+    assert.strictEqual(event.peerHeight, 2);
+    assert.deepStrictEqual(sim.heights(), sim.heights().map(() => sim.nodes[0].chain.blocks.length));
+    for (let node of sim.nodes.slice(0, 3)) assert.deepStrictEqual(node.forks, []);
+    sim.stop();
+});
+
+test('unstaked stake is withdrawn after unbonding, fines and double votes slash stake, supply is conserved', () => {
+    const sim = network({ nodes: 5, validators: 4, params: { unbondingBlocks: 3 } }, [0, 1, 2, 3, 4]);
+    const { fee, fine, doubleVoteFine } = sim.genesis.params;
+    const node = sim.nodes[0];
+    const supply = () => Object.values(node.chain.accounts)
+        .reduce((sum, account) => sum + account.balance + account.stake + account.unbonding.reduce((total, entry) => total + entry.amount, 0n), 0n);
+    const cut = (stake, basisPoints) => stake * basisPoints / 10000n;
+    const initial = supply();
+    let burned = 0n;
+
+    // unstake, then withdraw before and after unbondingBlocks. The staker is no validator, so it earns no fees
+    const staker = sim.publicKeys[4];
+    assert.ok(sim.transfer(4, 'stake', 20000n)[0]);
+    sim.run(5000);
+    const stake = node.chain.accounts[staker].stake;
+    assert.strictEqual(stake, 20000n - fee);
+    assert.ok(sim.transfer(4, 'unstake', 10000n)[0]);
+    sim.run(5000);
+    const [entry] = structuredClone(node.chain.accounts[staker].unbonding);
+    assert.strictEqual(entry.amount, 10000n - fee);
+    assert.strictEqual(node.chain.accounts[staker].stake, stake - 10000n);
+    const [added, reasons] = sim.transfer(4, 'withdraw', entry.amount);
+    assert.ok(!added);
+    assert.deepStrictEqual(reasons.map(item => item.code), ['insufficient_unbonded']);
+    while (node.chain.blocks.length < entry.until) {
+        sim.transfer(2, 3, 1000n);
+        sim.run(5000);
+    }
+    const balance = node.chain.accounts[staker].balance;
+    assert.ok(sim.transfer(4, 'withdraw', entry.amount)[0]);
+    sim.run(5000);
+    assert.deepStrictEqual(node.chain.accounts[staker].unbonding, []);
+    assert.strictEqual(node.chain.accounts[staker].balance, balance + entry.amount - fee);
+    assert.strictEqual(supply(), initial);
+
+    // a validator voting against a committed block is fined in the next block
+    const dissenter = sim.publicKeys[3];
+    const proposalValid = sim.nodes[3].proposalValid.bind(sim.nodes[3]);
+    sim.nodes[3].proposalValid = block => [false, ["test dissent"], proposalValid(block)[2]];
+    const height = node.chain.blocks.length;
+    sim.transfer(0, 1, 1000n);
+    sim.run(5000);
+    sim.nodes[3].proposalValid = proposalValid;
+    assert.strictEqual(node.chain.blocks.length, height + 1);
+    assert.strictEqual(node.chain.blocks[height].validators[dissenter].vote.data.valid, false);
+    const fined = node.chain.accounts[dissenter].stake;
+    sim.transfer(0, 1, 1000n);
+    sim.run(5000);
+    assert.strictEqual(node.chain.accounts[dissenter].stake, fined - cut(fined, fine));
+    burned += cut(fined, fine);
+    assert.strictEqual(supply(), initial - burned);
+
+    // two votes of one validator for different blocks in the same round are evidence
+    const voteHeight = node.chain.blocks.length - 1;
+    const vote = hash => JSON.parse(sim.nodes[3].sign({ type: "VOTE", data: { hash, height: voteHeight, round: 0, valid: true } }));
+    const evidence = [vote('aa'.repeat(32)), vote('bb'.repeat(32))];
+    assert.ok(node.addEvidence(evidence));
+    node.send({ type: "EVIDENCE", data: evidence });
+    node.propose();
+    const slashed = node.chain.accounts[dissenter].stake;
+    sim.run(5000);
+    sim.check();
+    const block = node.chain.blocks.find(item => item.evidence?.length > 0);
+    assert.deepStrictEqual(block.evidence, [evidence]);
+    assert.strictEqual(node.chain.accounts[dissenter].stake, slashed - cut(slashed, doubleVoteFine));
+    burned += cut(slashed, doubleVoteFine);
+    assert.strictEqual(supply(), initial - burned);
+    for (let other of sim.nodes) assert.strictEqual(other.stateRoot(other.chain.accounts), node.stateRoot(node.chain.accounts));
+    assert.strictEqual(node.metrics.get('slashings_total', { reason: 'double_vote' }), 1);
+    assert.ok(!node.addEvidence(evidence));
+    sim.stop();
+});
+
+test('runs with the same seed are identical', () => {
+    const tips = [1, 2].map(() => {
+        const sim = network({ seed: 42, latency: [1, 300], drop: 0.01 });
+        for (let from = 0; from < 4; from++) sim.transfer(from, 3 - from, 1000n);
+        sim.run(20000);
+        sim.check();
+        const tip = sim.nodes[0].tipHash();
+        sim.stop();
+        return tip;
+    });
+    assert.strictEqual(tips[0], tips[1]);
+});
+
+test('received messages are forwarded once by their relay policy up to the hop limit', () => {
+    const sim = network();
+    const delivered = sim.nodes.map(() => []);
+    sim.nodes.forEach((node, index) => {
+        const deliver = node.deliver.bind(node);
+        node.deliver = (message, except) => {
+            delivered[index].push(message);
+            deliver(message, except);
+        };
+    });
+    const [added] = sim.transfer(0, 1, 1000n);
+    assert.ok(added);
+    sim.run(100);
+    // gossip reaches every node, which forwards it once however many peers relay it again
+    const id = delivered[0].find(message => message.type == "NEW_TRANSACTION").id;
+    delivered.forEach(messages => assert.strictEqual(messages.filter(message => message.id == id).length, 1));
+    delivered[1].filter(message => message.id == id).forEach(message => assert.strictEqual(message.hops, 1));
+
+    const node = sim.nodes[1];
+    const forwarded = message => {
+        const count = delivered[1].length;
+        node.relay(null, message);
+        return delivered[1].slice(count);
+    };
+    assert.deepStrictEqual(forwarded({ type: "VOTE", hops: 7 }).map(message => message.hops), [8]);
+    assert.deepStrictEqual(forwarded({ type: "VOTE", hops: 8 }), []);
+    assert.deepStrictEqual(forwarded({ type: "VOTE", hops: -5 }).map(message => message.hops), [1]);
+    // requests are answered by the direct peer, answers are routed only to their addressee
+    assert.deepStrictEqual(forwarded({ type: "GET_PROOF", for: sim.publicKeys[2] }), []);
+    assert.deepStrictEqual(forwarded({ type: "HELLO" }), []);
+    assert.deepStrictEqual(forwarded({ type: "PROOF" }), []);
+    assert.deepStrictEqual(forwarded({ type: "PROOF", for: node.publicKey }), []);
+    assert.strictEqual(forwarded({ type: "PROOF", for: sim.publicKeys[2] }).length, 1);
+    sim.stop();
+});
+
+test('addressed messages are written only to the addressee when it is a peer', () => {
+    const sim = network();
+    const [node] = sim.nodes;
+    const written = [];
+    node.write = socket => written.push(socket.key);
+    node.deliver({ type: "PROOF", for: sim.publicKeys[2] });
+    assert.deepStrictEqual(written, [sim.publicKeys[2]]);
+
+    written.length = 0;
+    node.deliver({ type: "PROOF", for: 'unknown' });
+    assert.deepStrictEqual(written.sort(), sim.publicKeys.slice(1).sort());
+    sim.stop();
+});
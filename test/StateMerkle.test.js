@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const StateMerkle = require('../StateMerkle.js');
+
+/**
+ * Accounts with keys in reverse order of their sorting
+ * @param {number} size
+ * @returns {Object}
+ */
+function accounts(size) {
+    const result = {};
+    for (let index = size - 1; index >= 0; index--) {
+        result[index.toString(16).padStart(4, '0')] = { balance: BigInt(index * 1000), stake: 0n, nonce: index, unbonding: index % 3 ? [] : [{ amount: 5n, until: index }] };
+    }
+    return result;
+}
+
+/**
+ * Reference RFC 6962 tree of account leaves, independent from StateMerkle
+ * @param {Array<string>} leaves
+ * @returns {Buffer}
+ */
+function referenceRoot(leaves) {
+    const sha256 = data => crypto.createHash('sha256').update(data).digest();
+    if (leaves.length == 0) return sha256(Buffer.alloc(0));
+    if (leaves.length == 1) return sha256(Buffer.concat([Buffer.from([0]), Buffer.from(leaves[0])]));
+    let split = 1;
+    while (split * 2 < leaves.length) split *= 2;
+    return sha256(Buffer.concat([Buffer.from([1]), referenceRoot(leaves.slice(0, split)), referenceRoot(leaves.slice(split))]));
+}
+
+test('root matches reference tree of sorted accounts', () => {
+    for (let size = 0; size < 20; size++) {
+        const state = accounts(size);
+        const leaves = Object.keys(state).sort().map(key => StateMerkle.leaf(key, state[key]));
+        assert.strictEqual(new StateMerkle(state).getRoot(), referenceRoot(leaves).toString('hex'), `${size} accounts`);
+    }
+});
+
+test('root does not depend on key insertion order', () => {
+    const state = accounts(9);
+    const reordered = Object.fromEntries(Object.entries(state).reverse());
+    assert.strictEqual(new StateMerkle(reordered).getRoot(), new StateMerkle(state).getRoot());
+});
+
+test('every account field changes the root', () => {
+    const root = new StateMerkle(accounts(5)).getRoot();
+    const changes = [
+        state => state['0001'].balance++,
+        state => state['0001'].stake++,
+        state => state['0001'].nonce++,
+        state => state['0003'].unbonding[0].until++,
+        state => state['0005'] = { balance: 0n, stake: 0n, nonce: 0, unbonding: [] }
+    ];
+    for (let change of changes) {
+        const state = accounts(5);
+        change(state);
+        assert.notStrictEqual(new StateMerkle(state).getRoot(), root);
+    }
+});
+
+test('proofs verify for every account', () => {
+    for (let size = 1; size < 20; size++) {
+        const state = accounts(size);
+        const merkle = new StateMerkle(state);
+        for (let key of Object.keys(state)) {
+            assert.ok(StateMerkle.verifyProof(StateMerkle.leaf(key, state[key]), merkle.getProof(key), merkle.getRoot()), `${key} of ${size}`);
+        }
+    }
+});
+
+test('proofs do not verify other accounts or roots', () => {
+    const state = accounts(11);
+    const merkle = new StateMerkle(state);
+    const proof = merkle.getProof('0005');
+    const leaf = StateMerkle.leaf('0005', state['0005']);
+    assert.ok(!StateMerkle.verifyProof(StateMerkle.leaf('0006', state['0006']), proof, merkle.getRoot()));
+    assert.ok(!StateMerkle.verifyProof(StateMerkle.leaf('0005', { ...state['0005'], balance: 1n }), proof, merkle.getRoot()));
+    assert.ok(!StateMerkle.verifyProof(leaf, proof, new StateMerkle(accounts(10)).getRoot()));
+    assert.ok(!StateMerkle.verifyProof(leaf, proof.slice(1), merkle.getRoot()));
+    assert.strictEqual(merkle.getProof('ffff'), null);
+});
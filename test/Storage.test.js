@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Storage = require('../Storage.js');
+const Logger = require('../Logger.js');
+const P2P = require('../P2P.js');
+const Simulator = require('../Simulator.js');
+
+const logger = new Logger({ level: 'silent' });
+
+/**
+ * Chain of a simulated network with a few transfers
+ * @returns {Simulator}
+ */
+function simulated() {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    for (let from = 0; from < 3; from++) {
+        sim.transfer(from, from + 1, 1000n);
+        sim.run(5000);
+    }
+    sim.stop();
+    return sim;
+}
+
+/**
+ * Storage in a new temporary directory, removed after the test
+ * @param {TestContext} t
+ * @returns {Storage}
+ */
+function temporary(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new Storage(dir, undefined, logger);
+}
+
+/**
+ * Node loaded from storage
+ * @param {Simulator} sim
+ * @param {Storage} storage
+ * @returns {P2P}
+ */
+function restored(sim, storage) {
+    const node = new P2P({ blocks: [], accounts: {} }, null, [], null, { genesis: sim.genesis, storage, logger });
+    node.load();
+    return node;
+}
+
+/**
+ * Asserts that node has the chain and accounts of the simulated node
+ * @param {P2P} node
+ * @param {P2P} expected
+ */
+function assertSameChain(node, expected) {
+    assert.strictEqual(node.chain.blocks.length, expected.chain.blocks.length);
+    assert.strictEqual(node.tipHash(), expected.tipHash());
+    assert.strictEqual(node.merkle(), expected.merkle());
+    assert.strictEqual(node.stateRoot(node.chain.accounts), expected.stateRoot(expected.chain.accounts));
+}
+
+test('node restores blocks after the snapshot from the block log', t => {
+    const sim = simulated();
+    const { blocks } = sim.nodes[0].chain;
+    assert.ok(blocks.length > 3);
+    const storage = temporary(t);
+    blocks.slice(0, 2).forEach(block => storage.append(block));
+    restored(sim, storage);
+    blocks.slice(2).forEach(block => storage.append(block));
+    assert.strictEqual(storage.load().snapshot.height, 2);
+
+    assertSameChain(restored(sim, storage), sim.nodes[0]);
+    // the replayed state is saved as a new snapshot
+    assert.strictEqual(storage.load().snapshot.height, blocks.length);
+});
+
+test('corrupt snapshot is ignored and all blocks are replayed', t => {
+    const sim = simulated();
+    const storage = temporary(t);
+    sim.nodes[0].chain.blocks.forEach(block => storage.append(block));
+    const node = restored(sim, storage);
+    assertSameChain(node, sim.nodes[0]);
+
+    const snapshot = fs.readFileSync(storage.snapshotPath, 'utf8');
+    fs.writeFileSync(storage.snapshotPath, snapshot.replace(/"balance":"1/, '"balance":"2'));
+    assert.strictEqual(storage.load().snapshot, null);
+    assertSameChain(restored(sim, storage), sim.nodes[0]);
+});
+
+test('partially written last block is cut from the block log', t => {
+    const sim = simulated();
+    const storage = temporary(t);
+    const { blocks } = sim.nodes[0].chain;
+    blocks.forEach(block => storage.append(block));
+    const size = fs.statSync(storage.logPath).size;
+    fs.appendFileSync(storage.logPath, JSON.stringify(blocks[1]).slice(0, 50));
+
+    assert.strictEqual(storage.readBlocks().length, blocks.length);
+    assert.strictEqual(storage.load().blocks.length, blocks.length);
+    assert.strictEqual(fs.statSync(storage.logPath).size, size);
+});
+
+test('replay stops at a final block with an invalid transaction', t => {
+    const sim = simulated();
+    const node = sim.nodes[0];
+    const height = node.chain.blocks.length;
+    // the nonce was already used, validators sign the block anyway
+    const transaction = sim.sign(0, 1, 1000n);
+    transaction.nonce = 0;
+    transaction.sign(sim.keys[0]);
+    const block = {
+        header: {
+            height,
+            parent: node.tipHash(),
+            round: 0,
+            timestamp: node.chain.blocks[height - 1].header.timestamp,
+            proposer: node.proposer(height, 0),
+            merkleRoot: node.transactionMerkle.rootAfter([transaction.txid()])
+        },
+        transactions: [JSON.parse(transaction.serialize())],
+        commit: node.lastCommit(),
+        evidence: []
+    };
+    const accounts = structuredClone(node.chain.accounts);
+    assert.strictEqual(node.applyBlock(accounts, block).length, 1);
+    block.header.stateRoot = node.stateRoot(accounts);
+    const blockHash = node.blockHash(block.header);
+    const votes = Object.fromEntries(sim.nodes.map(signer => [signer.publicKey, JSON.parse(signer.sign({ type: "VOTE", data: { hash: blockHash, height, round: 0, valid: true } }))]));
+    block.validators = node.voteRecord(node.validatorWeights(), votes);
+    block.validatorsRoot = node.votesRoot(block.validators);
+    assert.ok(node.blockFinal(block));
+
+    const storage = temporary(t);
+    [...node.chain.blocks, block].forEach(item => storage.append(item));
+    assertSameChain(restored(sim, storage), node);
+    assert.strictEqual(storage.load().blocks.length, height);
+});
+
+test('transaction log of the older format is refused with migration instructions', t => {
+    const storage = temporary(t);
+    fs.writeFileSync(path.join(storage.dir, 'transactions.log'), '{"from":"a","to":"b","amount":1}\n');
+    assert.throws(() => storage.load(), /can't be converted to blocks. Check it against the root of older nodes with chain.js legacy/);
+
+    const sim = simulated();
+    storage.append(sim.nodes[0].chain.blocks[0]);
+    assert.strictEqual(storage.load().blocks.length, 1);
+});
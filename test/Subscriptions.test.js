@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const Simulator = require('../Simulator.js');
+const Subscriptions = require('../Subscriptions.js');
+
+/**
+ * Client connection that keeps the messages sent to it
+ */
+class Client extends EventEmitter {
+    constructor(subscriptions) {
+        super();
+        this.readyState = WebSocket.OPEN;
+        this.bufferedAmount = 0;
+        this.messages = [];
+        subscriptions.connect(this);
+    }
+
+    send(text) {
+        this.messages.push(JSON.parse(text));
+    }
+
+    request(request) {
+        this.emit('message', Buffer.from(JSON.stringify(request)));
+        return this.messages.findLast(message => message.id === request.id);
+    }
+
+    events(subscription) {
+        return this.messages.filter(message => message.subscription == subscription);
+    }
+}
+
+function network() {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    return sim;
+}
+
+test('subscribers get accepted transactions and transactions of their address', () => {
+    const sim = network();
+    const subscriptions = new Subscriptions(sim.nodes[1]);
+    const client = new Client(subscriptions);
+    const { result: { subscription: all } } = client.request({ id: 1, method: 'subscribe', channel: 'transactions' });
+    const { result: { subscription: own } } = client.request({ id: 2, method: 'subscribe', channel: 'address', address: sim.publicKeys[2] });
+    sim.transfer(0, 1, 1000n);
+    sim.transfer(2, 3, 1000n);
+    sim.run(20000);
+
+    const events = client.events(all);
+    assert.deepStrictEqual(events.map(event => event.transaction.from).sort(), [sim.publicKeys[0], sim.publicKeys[2]].sort());
+    for (let event of events) {
+        assert.strictEqual(event.block, sim.nodes[1].blockHash(sim.nodes[1].chain.blocks[event.height].header));
+        assert.strictEqual(sim.nodes[1].getTransaction(event.hash).height, event.height);
+    }
+    assert.deepStrictEqual(client.events(own).map(event => event.transaction.from), [sim.publicKeys[2]]);
+    sim.stop();
+});
+
+test('subscribers get rejections with their reasons', () => {
+    const sim = network();
+    const subscriptions = new Subscriptions(sim.nodes[0]);
+    const client = new Client(subscriptions);
+    const { result: { subscription } } = client.request({ id: 1, method: 'subscribe', channel: 'rejections' });
+    sim.transfer(0, 1, 1n);
+    const [rejection] = client.events(subscription);
+    assert.strictEqual(rejection.source, 'mempool');
+    assert.strictEqual(rejection.from, sim.publicKeys[0]);
+    assert.deepStrictEqual(rejection.reasons.map(reason => reason.code), ['amount_below_fee']);
+    sim.stop();
+});
+
+test('resumed subscription replays blocks from a height, then continues live', () => {
+    const sim = network();
+    const subscriptions = new Subscriptions(sim.nodes[0]);
+    const live = new Client(subscriptions);
+    const { result: { subscription } } = live.request({ id: 1, method: 'subscribe', channel: 'transactions' });
+    sim.transfer(0, 1, 1000n);
+    sim.run(10000);
+    const height = sim.nodes[0].chain.blocks.length;
+    sim.transfer(1, 2, 1000n);
+    sim.run(10000);
+    sim.transfer(2, 3, 1000n);
+    sim.run(10000);
+    const expected = live.events(subscription).filter(event => event.height >= height).map(({ subscription, ...event }) => event);
+    assert.strictEqual(expected.length, 2);
+
+    const resumed = new Client(subscriptions);
+    const answer = resumed.request({ id: 1, method: 'subscribe', channel: 'transactions', fromHeight: height });
+    const replayed = resumed.events(answer.result.subscription).map(({ subscription, ...event }) => event);
+    assert.deepStrictEqual(replayed, expected);
+
+    sim.transfer(3, 0, 1000n);
+    sim.run(10000);
+    assert.strictEqual(resumed.events(answer.result.subscription).length, 3);
+    sim.stop();
+});
+
+test('validator set changes are published and replayed', () => {
+    const sim = network();
+    const subscriptions = new Subscriptions(sim.nodes[0]);
+    const client = new Client(subscriptions);
+    const { result: { subscription } } = client.request({ id: 1, method: 'subscribe', channel: 'validators' });
+    sim.transfer(0, 'stake', 5000n);
+    sim.run(10000);
+    const [event] = client.events(subscription);
+    assert.deepStrictEqual(event.changed, [sim.publicKeys[0]]);
+    assert.strictEqual(event.height, sim.nodes[0].chain.blocks.length);
+    assert.strictEqual(BigInt(event.validators[sim.publicKeys[0]]), sim.nodes[0].chain.accounts[sim.publicKeys[0]].stake);
+
+    const replayed = client.request({ id: 2, method: 'subscribe', channel: 'validators', fromHeight: 0 });
+    const events = client.events(replayed.result.subscription);
+    assert.strictEqual(events[0].height, 1);
+    assert.deepStrictEqual(events[events.length - 1].validators, event.validators);
+    sim.stop();
+});
+
+test('invalid requests are answered with errors', () => {
+    const sim = network();
+    const client = new Client(new Subscriptions(sim.nodes[0]));
+    assert.match(client.request({ id: 1, method: 'subscribe', channel: 'blocks' }).error, /Unknown channel/);
+    assert.match(client.request({ id: 2, method: 'subscribe', channel: 'address' }).error, /Address required/);
+    assert.match(client.request({ id: 3, method: 'subscribe', channel: 'rejections', fromHeight: 0 }).error, /cannot be replayed/);
+    assert.match(client.request({ id: 4, method: 'unsubscribe', subscription: 'x' }).error, /Unknown subscription/);
+    sim.stop();
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const Transaction = require('../Transaction.js');
+
+const key = crypto.createHash('sha256').update('transaction key').digest('hex');
+const from = ec.keyFromPrivate(key, 'hex').getPublic('hex');
+
+/**
+ * Signed transaction with fixed times
+ * @param {bigint} amount
+ * @returns {Transaction}
+ */
+function signed(amount = 1000n) {
+    const transaction = new Transaction(from, 'stake', amount, 'memo', 7, 'test', 1700000600);
+    transaction.timestamp = 1700000000;
+    transaction.sign(key);
+    return transaction;
+}
+
+test('canonical encoding restores the transaction and keeps amounts above 2^53', () => {
+    const transaction = signed(2n ** 64n + 1n);
+    const decoded = Transaction.decode(transaction.encode());
+    assert.strictEqual(decoded.amount, 2n ** 64n + 1n);
+    assert.strictEqual(decoded.serialize(), transaction.serialize());
+    assert.deepStrictEqual(decoded.encode(), transaction.encode());
+    assert.ok(decoded.verify());
+
+    const parsed = Transaction.deserialize(transaction.serialize());
+    assert.strictEqual(JSON.parse(transaction.serialize()).amount, '18446744073709551617');
+    assert.strictEqual(parsed.amount, 2n ** 64n + 1n);
+});
+
+test('txid covers the canonical encoding without signature, not JSON key order', () => {
+    const transaction = signed();
+    const json = JSON.parse(transaction.serialize());
+    const reordered = Object.fromEntries(Object.entries(json).reverse());
+    assert.strictEqual(Transaction.fromObject(reordered).txid(), transaction.txid());
+    assert.strictEqual(transaction.txid(), crypto.createHash('sha256').update(transaction.encode(true)).digest('hex'));
+
+    const resigned = signed();
+    resigned.signature = undefined;
+    assert.strictEqual(resigned.txid(), transaction.txid());
+    assert.notStrictEqual(signed(1001n).txid(), transaction.txid());
+    const other = signed();
+    other.chainId = 'other';
+    assert.notStrictEqual(other.txid(), transaction.txid());
+    assert.ok(!other.verify());
+});
+
+test('schema refuses unknown, missing and mistyped fields', () => {
+    const json = JSON.parse(signed().serialize());
+    const parse = changes => () => Transaction.fromObject({ ...json, ...changes });
+    assert.throws(parse({ extra: 1 }), /Unknown transaction field extra/);
+    assert.throws(parse({ chainId: undefined }), /Missing transaction field chainId/);
+    assert.throws(parse({ amount: 1000 }), /Invalid transaction amount/);
+    assert.throws(parse({ amount: '-1' }), /Invalid transaction amount/);
+    assert.throws(parse({ amount: (2n ** 128n).toString() }), /Invalid transaction amount/);
+    assert.throws(parse({ nonce: '7' }), /Invalid transaction nonce/);
+    assert.throws(parse({ from: 'not hex' }), /Invalid transaction from/);
+    assert.throws(parse({ version: 9 }), /Unsupported transaction version 9/);
+    assert.throws(() => Transaction.decode(Buffer.concat([signed().encode(), Buffer.from([0])])), /Invalid transaction encoding/);
+});
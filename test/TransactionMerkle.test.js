@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const TransactionMerkle = require('../TransactionMerkle.js');
+const Simulator = require('../Simulator.js');
+const vectors = require('./vectors/merkle.json');
+
+/**
+ * Reference RFC 6962 merkle tree hash, independent from TransactionMerkle
+ * @param {Array<string>} leaves
+ * @returns {Buffer}
+ */
+function referenceRoot(leaves) {
+    const sha256 = data => crypto.createHash('sha256').update(data).digest();
+    if (leaves.length == 0) return sha256(Buffer.alloc(0));
+    if (leaves.length == 1) return sha256(Buffer.concat([Buffer.from([0]), Buffer.from(leaves[0], 'hex')]));
+    let split = 1;
+    while (split * 2 < leaves.length) split *= 2;
+    return sha256(Buffer.concat([Buffer.from([1]), referenceRoot(leaves.slice(0, split)), referenceRoot(leaves.slice(split))]));
+}
+
+function tree(size, options) {
+    const merkle = new TransactionMerkle(options);
+    vectors.leaves.slice(0, size).forEach(leaf => merkle.addLeaf(leaf));
+    return merkle;
+}
+
+test('vectors match reference implementation', () => {
+    vectors.roots.forEach((root, size) => {
+        assert.strictEqual(referenceRoot(vectors.leaves.slice(0, size)).toString('hex'), root);
+    });
+});
+
+test('root is pinned for every leaf count', () => {
+    vectors.roots.forEach((root, size) => {
+        assert.strictEqual(tree(size).getRoot(), root, `${size} leaves`);
+    });
+});
+
+test('every leaf changes the root', () => {
+    const roots = vectors.roots.map((root, size) => tree(size).getRoot());
+    assert.strictEqual(new Set(roots).size, roots.length);
+});
+
+test('legacy mode keeps roots of existing chains', () => {
+    vectors.legacyRoots.forEach((root, size) => {
+        assert.strictEqual(tree(size, { legacy: true }).getRoot(), root, `${size} leaves`);
+    });
+});
+
+test('leaf and inner node hashes are domain separated', () => {
+    const [left, right] = vectors.leaves;
+    const pair = tree(2).getRoot();
+    const merkle = new TransactionMerkle();
+    merkle.addLeaf(pair);
+    assert.notStrictEqual(merkle.getRoot(), pair);
+    assert.notStrictEqual(tree(2).getRoot(), crypto.createHash('sha256').update(Buffer.from(left + right, 'hex')).digest('hex'));
+});
+
+test('proofs verify for every leaf', () => {
+    for (let size = 1; size < vectors.roots.length; size++) {
+        const merkle = tree(size);
+        for (let index = 0; index < size; index++) {
+            const proof = merkle.getProof(index);
+            assert.ok(TransactionMerkle.verifyProof(vectors.leaves[index], proof, vectors.roots[size]), `leaf ${index} of ${size}`);
+            assert.deepStrictEqual(merkle.getProof(vectors.leaves[index]), proof);
+        }
+    }
+});
+
+test('proofs do not verify against other leaves or roots', () => {
+    const merkle = tree(11);
+    const proof = merkle.getProof(5);
+    assert.ok(!TransactionMerkle.verifyProof(vectors.leaves[6], proof, vectors.roots[11]));
+    assert.ok(!TransactionMerkle.verifyProof(vectors.leaves[5], proof, vectors.roots[10]));
+    assert.ok(!TransactionMerkle.verifyProof(vectors.leaves[5], proof.slice(1), vectors.roots[11]));
+    assert.strictEqual(merkle.getProof(11), null);
+    assert.strictEqual(merkle.getProof('00'), null);
+});
+
+test('legacy proofs cover only the largest complete subtree', () => {
+    const merkle = tree(6, { legacy: true });
+    assert.ok(TransactionMerkle.verifyProof(vectors.leaves[3], merkle.getProof(3), vectors.legacyRoots[6], true));
+    assert.strictEqual(merkle.getProof(4), null);
+});
+
+test('restores from serialized state', () => {
+    const merkle = tree(13);
+    const restored = TransactionMerkle.fromJSON(JSON.parse(JSON.stringify(merkle)));
+    assert.strictEqual(restored.getRoot(), vectors.roots[13]);
+    restored.addLeaf(vectors.leaves[13]);
+    assert.strictEqual(restored.getRoot(), vectors.roots[14]);
+
+    const migrated = TransactionMerkle.fromJSON(JSON.parse(JSON.stringify(tree(13, { legacy: true }))));
+    assert.strictEqual(migrated.getRoot(), vectors.roots[13]);
+});
+
+test('roots of the first leaves', () => {
+    const merkle = tree(17);
+    vectors.roots.forEach((root, size) => {
+        assert.strictEqual(merkle.rootAt(size), root, `${size} leaves`);
+    });
+    assert.strictEqual(merkle.rootAt(18), null);
+});
+
+test('root after leaves does not change the tree', () => {
+    const merkle = tree(5);
+    assert.strictEqual(merkle.rootAfter(vectors.leaves.slice(5, 12)), vectors.roots[12]);
+    assert.strictEqual(merkle.getRoot(), vectors.roots[5]);
+    assert.strictEqual(tree(3, { legacy: true }).rootAfter(vectors.leaves.slice(3, 9)), vectors.legacyRoots[9]);
+});
+
+test('node answers GET_PROOF with proofs against the merkle root of its latest block', () => {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    sim.start();
+    sim.run(3000);
+    const transactions = [sim.sign(0, 1, 1000n), sim.sign(2, 3, 1000n)];
+    transactions.forEach(transaction => assert.ok(sim.nodes[0].sendTransaction(transaction)[0]));
+    sim.run(10000);
+
+    const node = sim.nodes[1];
+    const answers = [];
+    const send = node.send.bind(node);
+    node.send = payload => {
+        if (payload.type == "PROOF") answers.push(payload);
+        return send(payload);
+    };
+    const txid = transactions[1].txid();
+    sim.nodes[0].send({ type: "GET_PROOF", data: { hash: txid } });
+    sim.run(1000);
+
+    const [answer] = answers;
+    assert.strictEqual(answer.for, sim.publicKeys[0]);
+    const { header } = node.chain.blocks[node.chain.blocks.length - 1];
+    assert.strictEqual(answer.data.root, header.merkleRoot);
+    assert.ok(TransactionMerkle.verifyProof(txid, answer.data.proof, header.merkleRoot));
+    const { leaf, proof } = node.getProof({ index: node.transactionMerkle.getLeaves().indexOf(txid) });
+    assert.strictEqual(leaf, txid);
+    assert.ok(TransactionMerkle.verifyProof(leaf, proof, header.merkleRoot));
+    assert.strictEqual(node.getProof({ hash: '00' }).proof, null);
+    sim.stop();
+});
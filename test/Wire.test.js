@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const pako = require('pako');
+const Wire = require('../Wire.js');
+
+const wire = Wire.negotiate(Wire.hello());
+
+/**
+ * Message text of about size bytes that does not compress to nothing
+ * @param {number} size
+ * @returns {string}
+ */
+function message(size) {
+    const hashes = [...Array(Math.ceil(size / 67)).keys()].map(index => crypto.createHash('sha256').update(String(index)).digest('hex'));
+    return Wire.canonical({ type: "HASHES", data: { from: 0, hashes } });
+}
+
+test('large messages are deflated and restored exactly', () => {
+    const text = message(200 * 1024);
+    const frame = Wire.encode(text, wire);
+    assert.ok(Buffer.isBuffer(frame) && frame.length < text.length);
+    assert.strictEqual(Wire.decode(frame, true), text);
+    assert.strictEqual(Wire.decode(Buffer.from(text), false), text);
+});
+
+test('deflated frame inflating past the message size limit is refused', () => {
+    const bomb = Buffer.concat([Buffer.from([0xf7, 1]), pako.deflate(Buffer.alloc(Wire.maxMessageSize + 1, ' '))]);
+    assert.ok(bomb.length < 64 * 1024);
+    assert.throws(() => Wire.decode(bomb, true), /inflates to more than/);
+    assert.throws(() => Wire.decode(Buffer.from([0xf7, 1, 1, 2, 3]), true), /Invalid deflated message/);
+});
+
+test('frames larger than the message size limit are refused', () => {
+    const frame = Buffer.alloc(Wire.maxMessageSize + 3, ' ');
+    assert.throws(() => Wire.decode(frame, false), /Message larger than/);
+});
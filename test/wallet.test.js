@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const Api = require('../Api.js');
+const Keystore = require('../Keystore.js');
+const Simulator = require('../Simulator.js');
+
+const wallet = path.join(__dirname, '..', 'wallet.js');
+
+/**
+ * Runs wallet command in a child process
+ * @param {Array<string>} args
+ * @param {Object} env variables added to a clean environment
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(args, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [wallet, ...args], { env: { PATH: process.env.PATH, ...env }, timeout: 30000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+/**
+ * @param {TestContext} t
+ * @returns {string} new temporary directory, removed after the test
+ */
+function temporary(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('usage, unknown options and invalid amounts fail', async () => {
+    const help = await run(['--help']);
+    assert.strictEqual(help.code, 0);
+    assert.match(help.stdout, /^Usage: node wallet.js/);
+    const unknown = await run(['transfer']);
+    assert.strictEqual(unknown.code, 1);
+    assert.match(unknown.stdout, /^Usage: node wallet.js/);
+    const option = await run(['status', '--nodes', 'x']);
+    assert.strictEqual(option.code, 1);
+    assert.match(option.stderr, /Unknown option '--nodes'/);
+    const amount = await run(['send', 'aa', '1.5', '--node', 'http://127.0.0.1:1'], { WALLET_KEY: Keystore.generate() });
+    assert.strictEqual(amount.code, 1);
+    assert.match(amount.stderr, /Invalid amount 1.5/);
+});
+
+test('keygen saves an encrypted keystore and prints the private key only on request', async t => {
+    const refused = await run(['keygen']);
+    assert.strictEqual(refused.code, 1);
+    assert.match(refused.stderr, /--out required/);
+    assert.strictEqual(refused.stdout, '');
+
+    const out = path.join(temporary(t), 'key.json');
+    const saved = await run(['keygen', '--out', out], { WALLET_PASSPHRASE: 'secret' });
+    assert.strictEqual(saved.code, 0);
+    const { address, keystore, privateKey } = JSON.parse(saved.stdout);
+    assert.strictEqual(keystore, out);
+    assert.strictEqual(privateKey, undefined);
+    assert.strictEqual(fs.statSync(out).mode & 0o777, 0o600);
+    assert.ok(!fs.readFileSync(out, 'utf8').includes(Keystore.load(out, 'secret')));
+    const shown = await run(['address', '--keystore', out], { WALLET_PASSPHRASE: 'secret' });
+    assert.strictEqual(shown.stdout.trim(), address);
+    const wrong = await run(['address', '--keystore', out], { WALLET_PASSPHRASE: 'wrong' });
+    assert.strictEqual(wrong.code, 1);
+    assert.match(wrong.stderr, /Wrong passphrase/);
+
+    const printed = await run(['keygen', '--print-private']);
+    assert.strictEqual(printed.code, 0);
+    const key = JSON.parse(printed.stdout);
+    const again = await run(['address'], { WALLET_KEY: key.privateKey });
+    assert.strictEqual(again.stdout.trim(), key.address);
+});
+
+test('multisig transaction is collected in a file until the threshold and submitted', async t => {
+    const sim = new Simulator({ nodes: 4, seed: 1 });
+    // the wallet stamps transactions with the real time
+    sim.clock.time = Date.now();
+    sim.start();
+    sim.run(3000);
+    const api = new Api(sim.nodes[0], 0);
+    api.start();
+    t.after(() => {
+        api.stop();
+        sim.stop();
+    });
+    await once(api.server, 'listening');
+    const node = ['--node', `http://127.0.0.1:${api.server.address().port}`];
+    const key = index => ({ WALLET_KEY: sim.keys[index] });
+
+    const registered = await run(['multisig', '2', sim.publicKeys[1], sim.publicKeys[2], '--amount', '100000', ...node], key(0));
+    assert.strictEqual(registered.code, 0, registered.stderr);
+    const [, address] = registered.stdout.match(/multisig account (\S+)/);
+    sim.run(5000);
+    assert.strictEqual(sim.nodes[0].chain.accounts[address].balance, 100000n);
+
+    // validators earn rewards, the recipient is a new account
+    const to = ec.keyFromPrivate(Keystore.generate(), 'hex').getPublic('hex');
+    const file = path.join(temporary(t), 'tx.json');
+    const first = await run(['send', to, '5000', '--multisig', address, '--out', file, ...node], key(1));
+    assert.strictEqual(first.code, 0, first.stderr);
+    assert.match(first.stdout, /1 of 2 signatures, needs 1 more/);
+    const second = await run(['sign', file, ...node], key(2));
+    assert.strictEqual(second.code, 0, second.stderr);
+    assert.match(second.stdout, /2 of 2 signatures, ready to submit/);
+
+    const submitted = await run(['submit', file, ...node]);
+    assert.strictEqual(submitted.code, 0, submitted.stderr);
+    assert.match(submitted.stdout, /^submitted [0-9a-f]+ \(nonce 0/);
+    sim.run(5000);
+    assert.strictEqual(sim.nodes[0].chain.accounts[to].balance, 5000n);
+    assert.strictEqual(sim.nodes[0].chain.accounts[address].balance, 100000n - 5000n - sim.genesis.params.fee);
+});
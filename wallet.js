@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const Transaction = require('./Transaction.js');
+const Keystore = require('./Keystore.js');
+const Multisig = require('./Multisig.js');
+
+const waitTime = 60000;
+const pollTime = 1000;
+
+const usage = `Usage: node wallet.js <command> [arguments] [options]
+
+Keys:
+  keygen --out file                   generate key, saved to an encrypted keystore
+  keygen --print-private              generate key, printed with the private key in clear
+  address                             address of the signing key
+
+Accounts and transactions:
+  account [address]                   balance, stake, unbonding stake and next nonce
+  send <to> <amount> [--body text]    transfer amount to address, the fee is added
+  stake <amount>                      move amount from balance to stake, the fee is added
+  unstake <amount>                    start unbonding amount of stake, the fee is added
+  withdraw <amount>                   move amount of released unbonding stake to balance, the fee is added
+  tx <hash>                           transaction with its block and votes
+  wait <hash>                         wait until transaction is in a block
+
+Multisig accounts:
+  multisig <threshold> <key>...       register M-of-N account of public keys, funded with --amount
+  sign <file>                         add signature of the signing key to a saved multisig transaction
+  submit <file>                       submit a saved transaction
+
+Node:
+  status                              height, round, block under vote and parameters
+  validators                          validators and their stake
+  peers                               connected peers, scores and bans
+  mempool [--from address]            queued transactions
+
+Options:
+  --node url                          node HTTP API, default $NODE_URL or http://localhost:4001
+  --keystore file                     signing key keystore, or raw key in $WALLET_KEY
+  --passphrase-file file              keystore passphrase, or $WALLET_PASSPHRASE
+  --multisig address                  send, stake, unstake and withdraw from a multisig account:
+                                      signed with the signing key and saved to --out until the threshold is reached
+  --amount amount                     amount moved to a new multisig account, default 0
+  --wait                              wait until submitted transaction is in a block
+  --valid-for seconds                 how long a submitted transaction can be included, default ${Transaction.defaultValidity}
+  --timeout seconds                   how long to wait, default ${waitTime / 1000}`;
+
+const options = {
+    node: { type: 'string', default: process.env.NODE_URL || 'http://localhost:4001' },
+    keystore: { type: 'string' },
+    'passphrase-file': { type: 'string' },
+    out: { type: 'string' },
+    'print-private': { type: 'boolean', default: false },
+    body: { type: 'string', default: '' },
+    from: { type: 'string' },
+    wait: { type: 'boolean', default: false },
+    multisig: { type: 'string' },
+    amount: { type: 'string', default: '0' },
+    'valid-for': { type: 'string' },
+    timeout: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Calls node HTTP API
+ * @param {Object} args
+ * @param {string} path
+ * @param {string} body POSTed if given
+ * @returns {Promise<Object>} response body
+ */
+async function request(args, path, body) {
+    const response = await fetch(args.node.replace(/\/$/, '') + path, body === undefined ? {} : { method: 'POST', body });
+    const result = await response.json();
+    if (!response.ok) {
+        const reasons = (result.reasons || []).map(({ code, reason }) => `${reason} (${code})`);
+        const error = new Error(result.error || reasons.join(', ') || `HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * @param {Object} args
+ * @returns {string} keystore passphrase
+ */
+function passphrase(args) {
+    if (args['passphrase-file']) return Keystore.readPassphrase(args['passphrase-file']);
+    if (process.env.WALLET_PASSPHRASE !== undefined) return process.env.WALLET_PASSPHRASE;
+    throw new Error("Passphrase required: --passphrase-file or WALLET_PASSPHRASE");
+}
+
+/**
+ * @param {Object} args
+ * @returns {string} private key hex
+ */
+function signingKey(args) {
+    if (args.keystore) return Keystore.load(args.keystore, passphrase(args));
+    if (process.env.WALLET_KEY) return process.env.WALLET_KEY;
+    throw new Error("Signing key required: --keystore or WALLET_KEY");
+}
+
+/**
+ * @param {string} privateKey
+ * @returns {string} public key hex
+ */
+function addressOf(privateKey) {
+    return ec.keyFromPrivate(privateKey, 'hex').getPublic('hex');
+}
+
+/**
+ * @param {string} value
+ * @returns {bigint}
+ */
+function parseAmount(value) {
+    if (!/^[0-9]+$/.test(value || '')) throw new Error(`Invalid amount ${value}`);
+    return BigInt(value);
+}
+
+/**
+ * Next nonce of address: after its committed transactions and its transactions queued in the mempool
+ * @param {Object} args
+ * @param {string} address
+ * @returns {Promise<number>}
+ */
+async function nextNonce(args, address) {
+    let nonce = 0;
+    try {
+        nonce = (await request(args, `/accounts/${address}`)).nonce;
+    } catch (err) {
+        if (err.status != 404) throw err;
+    }
+    // queued transactions of a sender are sorted by nonce
+    const { total } = await request(args, `/mempool?from=${address}&limit=1`);
+    if (total == 0) return nonce;
+    const { transactions: [last] } = await request(args, `/mempool?from=${address}&offset=${total - 1}&limit=1`);
+    return Math.max(nonce, last.nonce + 1);
+}
+
+/**
+ * Polls node until transaction is in a block
+ * @param {Object} args
+ * @param {string} hash
+ * @returns {Promise<Object>}
+ */
+async function waitFor(args, hash) {
+    const timeout = args.timeout ? parseInt(args.timeout) * 1000 : waitTime;
+    const until = Date.now() + timeout;
+    while (Date.now() < until) {
+        try {
+            return await request(args, `/transactions/${hash}`);
+        } catch (err) {
+            if (err.status != 404) throw err;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollTime));
+    }
+    throw new Error(`Transaction ${hash} not in a block after ${timeout / 1000}s`);
+}
+
+/**
+ * Definition of registered multisig account
+ * @param {Object} args
+ * @param {string} address
+ * @returns {Promise<Object>} threshold and keys
+ */
+async function multisigOf(args, address) {
+    const { multisig } = await request(args, `/accounts/${address}`);
+    if (!multisig) throw new Error(`${address} is not a multisig account`);
+    return multisig;
+}
+
+/**
+ * Saves transaction that still needs signatures of a multisig account
+ * @param {string} file
+ * @param {Transaction} transaction
+ * @param {Object} multisig
+ */
+function saveSigned(file, transaction, multisig) {
+    fs.writeFileSync(file, transaction.serialize() + '\n');
+    const signed = Multisig.unpack(transaction.signature).size;
+    const state = signed >= multisig.threshold ? 'ready to submit' : `needs ${multisig.threshold - signed} more`;
+    console.log(`saved ${transaction.txid()} to ${file}, ${signed} of ${multisig.threshold} signatures, ${state}`);
+}
+
+/**
+ * Submits signed transaction
+ * @param {Object} args
+ * @param {Transaction} transaction
+ */
+async function post(args, transaction) {
+    const { hash } = await request(args, '/transactions', transaction.serialize());
+    console.log(`submitted ${hash} (nonce ${transaction.nonce}, amount ${transaction.amount} including fee)`);
+    if (!args.wait) return;
+    const { height } = await waitFor(args, hash);
+    console.log(`included in block ${height}`);
+}
+
+/**
+ * Builds, signs and submits transaction of amount plus fee.
+ * With --multisig it is signed by the signing key, and saved to --out until the threshold is reached
+ * @param {Object} args
+ * @param {string} to address, or stake, unstake, withdraw, multisig
+ * @param {string} amount
+ * @param {string} body
+ */
+async function submit(args, to, amount, body = args.body) {
+    if (!to) throw new Error("Recipient required");
+    const value = parseAmount(amount);
+    const privateKey = signingKey(args);
+    const from = args.multisig || addressOf(privateKey);
+    const multisig = args.multisig ? await multisigOf(args, args.multisig) : undefined;
+    const { chainId, params } = await request(args, '/status');
+    const nonce = await nextNonce(args, from);
+    const validFor = args['valid-for'] ? parseInt(args['valid-for']) : Transaction.defaultValidity;
+    if (!(validFor > 0)) throw new Error(`Invalid validity ${args['valid-for']}`);
+    const transaction = new Transaction(from, to, value + BigInt(params.fee), body, nonce, chainId);
+    transaction.validUntil = transaction.timestamp + validFor;
+    transaction.sign(privateKey, multisig);
+    if (multisig && Multisig.unpack(transaction.signature).size < multisig.threshold) {
+        if (!args.out) throw new Error("--out required: the transaction is saved for the other keys to sign");
+        return saveSigned(args.out, transaction, multisig);
+    }
+    await post(args, transaction);
+}
+
+/**
+ * @param {*} value
+ */
+function print(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+const commands = {
+    keygen(args) {
+        if (!args.out && !args['print-private']) throw new Error("--out required: the key is saved to an encrypted keystore, or printed in clear with --print-private");
+        const privateKey = Keystore.generate();
+        if (!args.out) return print({ address: addressOf(privateKey), privateKey });
+        const { address } = Keystore.save(args.out, privateKey, passphrase(args));
+        print({ address, keystore: args.out });
+    },
+    address(args) {
+        console.log(addressOf(signingKey(args)));
+    },
+    async account(args, address) {
+        address = address || addressOf(signingKey(args));
+        const account = await request(args, `/accounts/${address}`);
+        print({ ...account, nextNonce: await nextNonce(args, address) });
+    },
+    send: (args, to, amount) => submit(args, to, amount),
+    stake: (args, amount) => submit(args, 'stake', amount),
+    unstake: (args, amount) => submit(args, 'unstake', amount),
+    withdraw: (args, amount) => submit(args, 'withdraw', amount),
+    async multisig(args, threshold, ...keys) {
+        const definition = Multisig.normalize({ threshold: parseInt(threshold), keys });
+        console.log(`multisig account ${Multisig.address(definition)}`);
+        await submit(args, 'multisig', args.amount, JSON.stringify(definition));
+    },
+    async sign(args, file) {
+        const transaction = Transaction.deserialize(fs.readFileSync(file, 'utf8'));
+        const multisig = await multisigOf(args, transaction.from);
+        transaction.sign(signingKey(args), multisig);
+        saveSigned(file, transaction, multisig);
+    },
+    submit: (args, file) => post(args, Transaction.deserialize(fs.readFileSync(file, 'utf8'))),
+    async tx(args, hash) {
+        print(await request(args, `/transactions/${hash}`));
+    },
+    async wait(args, hash) {
+        const { height } = await waitFor(args, hash);
+        console.log(`included in block ${height}`);
+    },
+    async status(args) {
+        print(await request(args, '/status'));
+    },
+    async validators(args) {
+        print((await request(args, '/status')).validators);
+    },
+    async peers(args) {
+        print(await request(args, '/peers'));
+    },
+    async mempool(args) {
+        print(await request(args, `/mempool${args.from ? `?from=${args.from}` : ''}`));
+    }
+};
+
+async function main() {
+    const { values: args, positionals } = parseArgs({ options, allowPositionals: true });
+    const [command, ...params] = positionals;
+    if (args.help || !commands[command]) {
+        console.log(usage);
+        process.exitCode = args.help ? 0 : 1;
+        return;
+    }
+    await commands[command](args, ...params);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});